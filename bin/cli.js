@@ -2,31 +2,83 @@
 
 import 'dotenv/config';
 import { Command } from 'commander';
-import { loadConfig, VIEWPORTS } from '../lib/config.js';
-import { healthCheck, prewarm, analyze } from '../lib/ollama.js';
+import { loadConfig, redactConfig, VIEWPORTS, ENGINES } from '../lib/config.js';
+import { healthCheck, prewarm, providerLabel } from '../lib/provider.js';
+import { reviewModels, filterConsensus } from '../lib/ensemble.js';
+import { hostsLabel } from '../lib/hosts.js';
 import { captureScreenshot } from '../lib/capture.js';
 import { loadPrompt } from '../lib/prompts.js';
 import { sanitizeResult, writeReport } from '../lib/report.js';
-import { UiReviewError } from '../lib/errors.js';
+import { reviewCapture } from '../lib/review.js';
+import { expandEmulationMatrix } from '../lib/emulation.js';
+import { formatDigest } from '../lib/digest.js';
+import { configureBrowserPool, closeBrowserPool } from '../lib/browser-pool.js';
+import { pruneCache, clearCache, DEFAULT_CACHE_DIR } from '../lib/cache.js';
+import { startMockServer, SCENARIOS } from '../lib/mock-server.js';
+import { UiReviewError, ConfigError } from '../lib/errors.js';
 
 const program = new Command();
 
+/** Commander helper for options that can be given more than once */
+const collect = (value, previous = []) => [...previous, value];
+
+/**
+ * Custom viewports of the manifest in the working directory, listed under --help.
+ * @returns {string}
+ */
+function customViewportsHelp() {
+  try {
+    const custom = Object.keys(loadConfig().viewportDefinitions).filter(name => !Object.hasOwn(VIEWPORTS, name));
+    return custom.length ? `\nCustom viewports in .ui-review.json: ${custom.join(', ')}` : '';
+  } catch {
+    return '';
+  }
+}
+
 program
   .name('ui-review')
-  .description('Automated UI/UX review using Qwen3-VL vision model via Ollama')
+  // Options after a subcommand belong to it (mock-server has its own --models)
+  .enablePositionalOptions()
+  .description('Automated UI/UX review using Qwen3-VL vision model via Ollama or an OpenAI-compatible server')
   .version('0.1.0')
   .argument('<url>', 'URL of the page to review')
-  .option('--ollama-url <url>', 'Ollama server URL')
+  .option('--provider <name>', 'VLM server protocol: ollama or openai (llama.cpp, vLLM, LM Studio)')
+  .option('--ollama-url <url>', 'VLM server URL (Ollama or OpenAI-compatible)')
   .option('--model <name>', 'Vision model name')
-  .option('--timeout <ms>', 'Ollama request timeout in milliseconds', parseInt)
-  .option('--viewport <names>', `Comma-separated viewports (${Object.keys(VIEWPORTS).join(', ')})`)
+  .option('--models <names>', 'Comma-separated models to run on every screenshot; issues are merged across models')
+  .option('--consensus', 'Only report issues a majority of --models agreed on')
+  .option('--timeout <ms>', 'VLM request idle timeout in milliseconds', parseInt)
+  .option('--viewport <names>', `Comma-separated viewports (${Object.keys(VIEWPORTS).join(', ')} or a customViewports name)`)
+  .option('--engine <name>', `Browser engine, one of ${ENGINES.join(', ')}`)
   .option('--format <type>', 'Output format: json or text', 'json')
   .option('--output <path>', 'Write report to file instead of stdout')
   .option('--concurrency <n>', 'Max concurrent screenshots', parseInt)
+  .option('--full-page', 'Capture the full scroll height and analyze it in overlapping tiles')
+  .option('--max-tiles <n>', 'Max tiles analyzed per full-page capture', parseInt)
+  .option('--selector <css>', 'Review only the element matching this CSS selector')
+  .option('--selector-padding <px>', 'Pixels of surrounding page to include around --selector', parseInt)
+  .option('--wait-until <event>', 'Navigation wait: load, domcontentloaded, networkidle or commit')
+  .option('--wait-for <selector>', 'Wait for this CSS selector before capturing')
+  .option('--wait-for-function <js>', 'Wait until this JS expression is truthy in the page')
+  .option('--settle-delay <ms>', 'Delay before the screenshot, after waiting', parseInt)
+  .option('--nav-timeout <ms>', 'Navigation and wait timeout', parseInt)
+  .option('--no-digest', 'Do not send the DOM/accessibility digest to the model')
+  .option('--no-structured-output', 'Do not constrain the model answer with a JSON Schema')
+  .option('--no-cache', 'Analyze again even when the analysis cache has an answer')
+  .option('--verify <mode>', 'Have the model check each reported issue: off, mark (keep rejected issues, marked) or drop')
+  .option('--max-dimension <px>', 'Scale images down to this longest side before sending them to the model', parseInt)
+  .option('--image-format <type>', 'Encoding of images sent to the model: png, jpeg or webp')
+  .option('--throttling <profile>', 'Network/CPU throttling: slow-3g, fast-3g, slow-4g or offline-after-load')
+  .option('--loading-shots <ms>', 'Comma-separated ms after navigation to screenshot during load, e.g. 1000,3000')
+  .option('--state <name>', 'Named page state from the manifest to capture (runs its actions first)')
+  .option('--http-credentials <user:password>', 'HTTP basic auth credentials (or BASIC_AUTH_USER / BASIC_AUTH_PASSWORD)')
+  .option('--header <name:value>', 'Extra HTTP header sent with every request (repeatable)', collect)
+  .option('--cookie <name=value>', 'Cookie set for the page origin before loading (repeatable)', collect)
   .option('--dry-run', 'Capture screenshot but skip VLM analysis')
   .option('--debug', 'Enable verbose debug logging')
   .option('--ignore-https-errors', 'Ignore TLS certificate errors')
   .option('--allow-private', 'Allow URLs that resolve to private/internal IPs')
+  .addHelpText('after', customViewportsHelp)
   .action(run);
 
 async function run(url, opts) {
@@ -41,75 +93,155 @@ async function run(url, opts) {
     }
     throw err;
   }
+  // A single URL is reviewed in one engine; the web UI reviews several side by side
+  if (opts.engine !== undefined && config.engines.length > 1) {
+    console.error(`Error: --engine takes one engine, got: ${config.engines.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+  configureBrowserPool(config.browserPool);
 
   if (config.debug) {
-    console.error('[config]', JSON.stringify(config, null, 2));
+    console.error('[config]', JSON.stringify(redactConfig(config), null, 2));
   }
 
-  // Use first configured viewport for single-URL mode
+  // Use first configured viewport, engine and emulation profile for single-URL mode
   const viewport = config.resolvedViewports[0];
+  const engine = config.engines[0];
+  const emulation = expandEmulationMatrix(config.emulation)[0];
 
   try {
+    const { page, actions, state } = resolvePageActions(config, url, opts.state);
+
     // Step 1: Capture screenshot
-    console.error(`Capturing ${url} at ${viewport.name} (${viewport.width}x${viewport.height})...`);
-    const buffer = await captureScreenshot({
+    const variant = [state && `state "${state.name}"`, emulation?.name].filter(Boolean).join(', ');
+    console.error(`Capturing ${url} at ${viewport.name} (${viewport.width}x${viewport.height}) in ${engine}${variant ? ` (${variant})` : ''}...`);
+    const capture = await captureScreenshot({
       url,
       viewport,
       config,
       allowPrivate: opts.allowPrivate || false,
+      httpCredentials: config.httpCredentials,
+      extraHTTPHeaders: config.extraHTTPHeaders,
+      cookies: config.cookies,
+      fullPage: config.fullPage,
+      engine,
+      actions,
+      selector: config.selector,
+      selectorPadding: config.selectorPadding,
+      emulation: emulation?.settings,
+      mask: [...config.mask, ...(page?.mask || [])],
+      hide: [...config.hide, ...(page?.hide || [])],
+      digest: config.digest,
+      wait: { ...config.wait, ...page?.wait },
+      throttling: config.throttling,
+      loadingShots: config.loadingShots,
     });
-    console.error(`Screenshot captured: ${(buffer.length / 1024).toFixed(0)}KB`);
+    console.error(`Screenshot captured: ${(capture.buffer.length / 1024).toFixed(0)}KB`);
+    if (config.debug && capture.digest) {
+      console.error('[digest]\n' + formatDigest(capture.digest));
+    }
+    if (capture.component) {
+      console.error(`Component ${capture.component.selector}: ${capture.component.width}x${capture.component.height}px`);
+    }
+    if (capture.runtime.length) {
+      console.error(`Runtime: ${capture.runtime.length} console error(s), page error(s) or failed request(s)`);
+    }
+    if (capture.loading) {
+      console.error(capture.loading.length
+        ? `Loading: ${capture.loading.length} frame(s) at ${capture.loading.map(f => `${f.elapsed}ms`).join(', ')}`
+        : 'Loading: page finished loading before the first loading screenshot — regular review');
+    }
+    if (capture.tiles) {
+      console.error(`Full page: ${capture.pageHeight}px split into ${capture.tiles.length} tile(s)`);
+    }
 
     // Step 2: Dry-run exits here
     if (opts.dryRun) {
       console.error('Dry run — skipping VLM analysis.');
-      const dryResult = sanitizeResult(
-        { issues: [], summary: 'Dry run — no analysis performed.' },
-        { url, viewport: viewport.name }
-      );
+      const dryResult = {
+        ...sanitizeResult(
+          { issues: [], summary: 'Dry run — no analysis performed.' },
+          { url, viewport: viewport.name, engine, state: state?.name, emulation: emulation?.name }
+        ),
+        runtime: capture.runtime,
+        vitals: capture.vitals,
+        ...(capture.throttling && { throttling: capture.throttling }),
+      };
       writeReport(dryResult, { format: config.format, output: config.output });
       return;
     }
 
     // Step 3: Health check + prewarm
-    console.error(`Checking Ollama at ${config.ollamaUrl}...`);
-    const { models } = await healthCheck(config);
-    if (!models.some(m => m.startsWith(config.model.split(':')[0]))) {
-      console.error(`Warning: Model "${config.model}" not found in available models: ${models.join(', ')}`);
-      console.error(`Attempting to proceed anyway (model may be pulled on demand).`);
+    console.error(`Checking ${providerLabel(config)} at ${hostsLabel(config)}...`);
+    const { models, hosts } = await healthCheck(config);
+    for (const host of hosts.filter(h => !h.ok)) {
+      console.error(`Warning: ${host.url} is unreachable, reviewing without it: ${host.error}`);
+    }
+    const reviewWith = reviewModels(config);
+    for (const model of reviewWith) {
+      if (!models.some(m => m.startsWith(model.split(':')[0]))) {
+        console.error(`Warning: Model "${model}" not found in available models: ${models.join(', ')}`);
+        console.error(`Attempting to proceed anyway (model may be pulled on demand).`);
+      }
     }
 
-    console.error(`Prewarming model ${config.model}...`);
-    await prewarm(config);
+    for (const model of reviewWith) {
+      console.error(`Prewarming model ${model}...`);
+      await prewarm({ ...config, model });
+    }
 
-    // Step 4: Analyze with VLM (streaming NDJSON)
-    console.error(`Analyzing with ${config.model}...`);
+    // Step 4: Analyze with VLM (streaming)
+    console.error(`Analyzing with ${reviewWith.join(', ')}...`);
     const systemPrompt = loadPrompt('review-system');
-    const prompt = loadPrompt('review', {
-      viewport: viewport.name,
-      viewportWidth: viewport.width,
-      viewportHeight: viewport.height,
-      url,
-    });
-
-    const raw = await analyze({
+    const reviewed = await reviewCapture({
       config,
+      capture,
       systemPrompt,
-      prompt,
-      images: [buffer],
+      promptVars: {
+        viewport: viewport.name,
+        viewportWidth: viewport.width,
+        viewportHeight: viewport.height,
+        url,
+      },
+      engine,
+      state,
+      emulation,
+      onTile: (tile, count) => {
+        console.error(`Analyzing tile ${tile.index + 1}/${count} (y=${tile.y}px)...`);
+      },
+      onReformat: () => {
+        console.error('Response was not valid JSON — asking the model to reformat it...');
+      },
+      onVerify: (count) => {
+        console.error(`Verifying ${count} issue(s)...`);
+      },
+      onModel: (model, i, count) => {
+        console.error(`Model ${i + 1}/${count}: ${model}...`);
+      },
+      onSchemaFallback: (model, err) => {
+        console.error(`${model}: structured output not supported, falling back to free-form JSON (${err.message})`);
+      },
     });
+    const result = config.consensus ? filterConsensus(reviewed) : reviewed;
 
-    const result = sanitizeResult(raw, { url, viewport: viewport.name });
     writeReport(result, { format: config.format, output: config.output });
 
     // Summary to stderr
     const counts = { critical: 0, warning: 0, suggestion: 0 };
+    let unverified = 0;
     for (const issue of result.issues) {
+      // Issues the model rejected on verification don't fail the run
+      if (issue.verification?.verdict === 'rejected') {
+        unverified++;
+        continue;
+      }
       counts[issue.severity] = (counts[issue.severity] || 0) + 1;
     }
     console.error(
-      `Done: ${result.issues.length} issue(s) — ` +
-      `${counts.critical} critical, ${counts.warning} warning, ${counts.suggestion} suggestion`
+      `Done: ${result.issues.length - unverified} issue(s) — ` +
+      `${counts.critical} critical, ${counts.warning} warning, ${counts.suggestion} suggestion` +
+      (unverified ? `, plus ${unverified} unverified` : '')
     );
 
     // Exit with non-zero if critical issues found
@@ -125,7 +257,107 @@ async function run(url, opts) {
       if (config.debug) console.error(err.stack);
       process.exitCode = 2;
     }
+  } finally {
+    // Pooled browsers would otherwise keep the process alive
+    await closeBrowserPool();
+  }
+}
+
+const cache = program
+  .command('cache')
+  .description(`Manage the analysis cache (default location: ${DEFAULT_CACHE_DIR})`);
+
+cache
+  .command('prune')
+  .description('Remove cached analyses not used recently, then the oldest until under --max-size')
+  .option('--max-age <days>', 'Remove entries unused for more than this many days', parseFloat, 30)
+  .option('--max-size <mb>', 'Keep at most this many megabytes', parseFloat)
+  .action(opts => runCache(dir => {
+    const { removed, kept, bytes } = pruneCache(dir, {
+      maxAgeDays: opts.maxAge,
+      maxBytes: opts.maxSize === undefined ? undefined : opts.maxSize * 1_000_000,
+    });
+    console.error(`Removed ${removed} cached analyses; ${kept} left (${(bytes / 1_000_000).toFixed(1)}MB) in ${dir}`);
+  }));
+
+cache
+  .command('clear')
+  .description('Remove every cached analysis')
+  .action(() => runCache(dir => {
+    console.error(`Removed ${clearCache(dir)} cached analyses from ${dir}`);
+  }));
+
+/**
+ * Run a cache command against the configured cache directory.
+ * @param {Function} fn - Called with the cache directory
+ */
+function runCache(fn) {
+  try {
+    const config = loadConfig();
+    fn(config.cacheDir || DEFAULT_CACHE_DIR);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+program
+  .command('mock-server')
+  .description('Run a fake Ollama server with scripted answers, for offline runs and tests')
+  .option('--port <n>', 'Port to listen on', v => parseInt(v, 10), 11434)
+  .option('--host <address>', 'Address to listen on', '127.0.0.1')
+  .option('--scenario <name>', `Answer to every analysis: ${Object.keys(SCENARIOS).join(', ')}`, 'issues')
+  .option('--sequence <names>', 'Comma-separated scenarios for the first analyses, then --scenario')
+  .option('--token-delay <ms>', 'Delay between streamed chunks', parseInt)
+  .option('--models <names>', 'Comma-separated model names listed by /api/tags', 'qwen3-vl:8b')
+  .action(async (opts) => {
+    try {
+      const mock = await startMockServer({
+        port: opts.port,
+        host: opts.host,
+        scenario: opts.scenario,
+        responses: opts.sequence ? opts.sequence.split(',').map(s => s.trim()).filter(Boolean) : [],
+        tokenDelay: opts.tokenDelay,
+        models: opts.models.split(',').map(m => m.trim()).filter(Boolean),
+      });
+      console.error(`Mock Ollama server at ${mock.url} (scenario: ${opts.scenario}). Point OLLAMA_URL at it; Ctrl-C stops it.`);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exitCode = 1;
+    }
+  });
+
+/**
+ * Find the manifest page for a URL (same path) and the actions to run: the
+ * page's, followed by those of the requested named state.
+ *
+ * @returns {{ page: Object|undefined, actions: Array, state: Object|null }}
+ * @throws {ConfigError} When --state names a state the matching page doesn't declare
+ */
+function resolvePageActions(config, url, stateName) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    pathname = null;
   }
+  const page = (config.pages || []).find(p => p.path === pathname);
+
+  if (!stateName) return { page, actions: page?.actions || [], state: null };
+
+  const state = page?.states?.find(st => st.name === stateName);
+  if (!state) {
+    throw new ConfigError(`State "${stateName}" is not declared for ${pathname ?? url} in the manifest`);
+  }
+  return { page, actions: [...(page.actions || []), ...(state.actions || [])], state };
+}
+
+// Close pooled browsers on Ctrl-C or kill so no browser processes are orphaned
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    await closeBrowserPool();
+    process.exit(signal === 'SIGINT' ? 130 : 143);
+  });
 }
 
 program.parse();
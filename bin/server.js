@@ -2,22 +2,36 @@
 
 import 'dotenv/config';
 import { createServer } from 'node:http';
-import { readFileSync, writeFileSync, mkdirSync, readdirSync, existsSync } from 'node:fs';
+import { readFileSync, writeFileSync, renameSync, mkdirSync, readdirSync, existsSync } from 'node:fs';
 import { join } from 'node:path';
-import { loadConfig, VIEWPORTS } from '../lib/config.js';
-import { healthCheck, prewarm, analyze, parseVlmJson } from '../lib/ollama.js';
+import pLimit from 'p-limit';
+import { loadConfig, validatePageSelector, validateMasking, validateWait, ENGINES, ENGINE_LABELS } from '../lib/config.js';
+import { healthCheck, prewarm, providerLabel } from '../lib/provider.js';
+import { reviewModels } from '../lib/ensemble.js';
+import { hostCapacity, hostsLabel } from '../lib/hosts.js';
+import { annotateScreenshot } from '../lib/annotate.js';
+import { summarizeTelemetry } from '../lib/telemetry.js';
+import { summarizeVerification, isVerifying } from '../lib/verify.js';
 import { captureScreenshot } from '../lib/capture.js';
 import { loadPrompt } from '../lib/prompts.js';
-import { sanitizeResult } from '../lib/report.js';
 import { discoverPages } from '../lib/discover.js';
+import { withContext, configureBrowserPool, closeBrowserPool } from '../lib/browser-pool.js';
+import { createNetworkPolicy, assertUrlAllowed, installNetworkPolicy } from '../lib/network-policy.js';
+import { validateHttpAuth, authContextOptions, addAuthCookies, addAuthHeaders, redactAuth } from '../lib/http-auth.js';
+import { THROTTLING_PROFILES, validateThrottling, validateLoadingShots, checkThrottlingEngine } from '../lib/throttling.js';
+import { reviewCapture } from '../lib/review.js';
+import { validateActions, validateStates } from '../lib/actions.js';
+import { validateEmulationMatrix, expandEmulationMatrix } from '../lib/emulation.js';
 
 const PORT = parseInt(process.argv.find((_, i, a) => a[i - 1] === '--port') || '3000', 10);
 const PUBLIC_DIR = join(import.meta.dirname, '..', 'public');
-const REPORTS_DIR = join(import.meta.dirname, '..', 'reports');
+const REPORTS_DIR = process.env.UI_REVIEW_REPORTS_DIR || join(import.meta.dirname, '..', 'reports');
 
 // Ensure reports directory exists
 mkdirSync(REPORTS_DIR, { recursive: true });
 
+const JSON_HEADERS = { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' };
+
 /** Send an SSE event line. */
 function sendEvent(res, event, data) {
   res.write(`data: ${JSON.stringify({ event, ...data })}\n\n`);
@@ -44,9 +58,29 @@ function getOllamaConfig(overrides = {}) {
   return loadConfig({ cliArgs: { debug: true, ...overrides } });
 }
 
-/** Composite key for a page×viewport result. */
-function resultKey(pageName, viewportName) {
-  return `${pageName}::${viewportName}`;
+/**
+ * Composite key for a page×viewport×engine result, plus the state name for
+ * named page states and "@profile" for emulation profiles.
+ */
+function resultKey(pageName, viewportName, engine, stateName, emulationName) {
+  let key = `${pageName}::${viewportName}::${engine}`;
+  if (stateName) key += `::${stateName}`;
+  if (emulationName) key += `::@${emulationName}`;
+  return key;
+}
+
+/**
+ * Basic auth, extra headers and cookies for a request: the manifest's,
+ * with credentials and headers from the body winning and body cookies added.
+ * @throws {ConfigError} When the body's values are invalid
+ */
+function resolveHttpAuth(body, config) {
+  validateHttpAuth(body);
+  return {
+    httpCredentials: body.httpCredentials ?? config.httpCredentials,
+    extraHTTPHeaders: { ...config.extraHTTPHeaders, ...body.extraHTTPHeaders },
+    cookies: [...(config.cookies || []), ...(body.cookies || [])],
+  };
 }
 
 /** Sanitize a name for use as a filename. */
@@ -54,17 +88,81 @@ function sanitizeName(name) {
   return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 60);
 }
 
-/** Save report to disk. */
+/**
+ * Save report to disk. Written to a temporary file and renamed, so readers
+ * never see a half-written report.
+ */
 function saveReport(report) {
   const filePath = join(REPORTS_DIR, `${report.id}.json`);
-  writeFileSync(filePath, JSON.stringify(report, null, 2));
+  writeFileSync(`${filePath}.tmp`, JSON.stringify(report, null, 2));
+  renameSync(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * Recount the summary and stats of a report from its results.
+ * @param {Object} report
+ */
+function updateSummary(report) {
+  report.summary.pages = Object.keys(report.results).length;
+  report.summary.issues = 0;
+  report.summary.critical = 0;
+  report.summary.warning = 0;
+  report.summary.suggestion = 0;
+  report.summary.runtime = 0;
+  for (const r of Object.values(report.results)) {
+    report.summary.runtime += (r.runtime || []).length;
+    for (const issue of r.issues || []) {
+      // Issues the model rejected on verification stay out of the counts
+      if (issue.verification?.verdict === 'rejected') continue;
+      report.summary.issues++;
+      report.summary[issue.severity] = (report.summary[issue.severity] || 0) + 1;
+    }
+  }
+  const verification = summarizeVerification(Object.values(report.results));
+  report.stats = { ...summarizeTelemetry(Object.values(report.results)), ...(verification && { verification }) };
+}
+
+/**
+ * Record the result or the error of one combination and save the report.
+ *
+ * Combinations run concurrently and share the report object. Each update
+ * and its save happen in one synchronous step, so no other combination can
+ * change the report in between and every save holds complete updates.
+ *
+ * @param {Object} report
+ * @param {string} key - Result key, see resultKey()
+ * @param {Object} outcome - { result } or { error }
+ */
+function recordOutcome(report, key, { result, error }) {
+  if (result) {
+    report.results[key] = result;
+    delete report.errors[key];
+    updateSummary(report);
+  } else {
+    report.errors[key] = { message: error.message, timestamp: new Date().toISOString() };
+  }
+  report.updatedAt = new Date().toISOString();
+  saveReport(report);
 }
 
 /** Load a report by ID. */
 function loadReport(id) {
   const filePath = join(REPORTS_DIR, `${id}.json`);
   if (!existsSync(filePath)) return null;
-  return JSON.parse(readFileSync(filePath, 'utf8'));
+  return migrateReport(JSON.parse(readFileSync(filePath, 'utf8')));
+}
+
+/** Upgrade reports saved before engine support (keyed "page::viewport", always Chromium). */
+function migrateReport(report) {
+  for (const field of ['results', 'errors']) {
+    for (const [key, value] of Object.entries(report[field] || {})) {
+      if (key.split('::').length !== 2) continue;
+      report[field][`${key}::chromium`] = value;
+      delete report[field][key];
+    }
+  }
+  if (report.config && !report.config.engines) report.config.engines = ['chromium'];
+  return report;
 }
 
 /** List all reports, newest first. */
@@ -92,14 +190,16 @@ function listReports() {
 }
 
 /** Execute a login flow using Playwright and return storageState. */
-async function executeLogin({ baseUrl, loginUrl, username, password, allowPrivate = false }) {
-  const { chromium } = await import('playwright');
-
+async function executeLogin({ baseUrl, loginUrl, username, password, allowPrivate = false, network, httpAuth }) {
   const fullLoginUrl = baseUrl.replace(/\/$/, '') + loginUrl;
-  const browser = await chromium.launch({ headless: true });
-
-  try {
-    const context = await browser.newContext({ ignoreHTTPSErrors: true });
+  const policy = createNetworkPolicy({ allowPrivate, ...network });
+  await assertUrlAllowed(fullLoginUrl, policy);
+
+  const contextOptions = { ignoreHTTPSErrors: true, ...authContextOptions(httpAuth, fullLoginUrl) };
+  return withContext({ contextOptions }, async (context) => {
+    await installNetworkPolicy(context, policy);
+    await addAuthHeaders(context, httpAuth.extraHTTPHeaders, fullLoginUrl);
+    await addAuthCookies(context, httpAuth.cookies, fullLoginUrl);
     const page = await context.newPage();
 
     await page.goto(fullLoginUrl, { waitUntil: 'networkidle', timeout: 15000 });
@@ -131,12 +231,9 @@ async function executeLogin({ baseUrl, loginUrl, username, password, allowPrivat
 
     const state = await context.storageState();
     const cookies = (state.cookies || []).length;
-    await context.close();
 
     return { storageState: state, redirectedTo: currentPath, cookies };
-  } finally {
-    await browser.close().catch(() => {});
-  }
+  });
 }
 
 /** Discover pages on a site, streaming SSE events. */
@@ -157,7 +254,7 @@ async function runDiscover(req, res) {
     return;
   }
 
-  const { baseUrl, maxPages = 50, allowPrivate = false, authState } = body;
+  const { baseUrl, maxPages = 50, allowPrivate = false, authState, engine = 'chromium' } = body;
 
   if (!baseUrl) {
     sendEvent(res, 'error', { message: 'baseUrl is required' });
@@ -169,11 +266,15 @@ async function runDiscover(req, res) {
   req.on('close', () => controller.abort());
 
   try {
+    const config = getOllamaConfig();
     const result = await discoverPages({
       baseUrl,
       maxPages,
       allowPrivate,
+      network: config.network,
+      ...resolveHttpAuth(body, config),
       storageState: authState || undefined,
+      engine: ENGINES.includes(engine) ? engine : 'chromium',
       signal: controller.signal,
       onProgress: (message) => {
         sendEvent(res, 'discover-progress', { message });
@@ -196,21 +297,39 @@ async function runDiscover(req, res) {
   res.end();
 }
 
-/** Run reviews for pages × viewports, streaming SSE events. */
-async function runReview(req, res) {
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*',
-  });
+/**
+ * Why a request-body list of names is invalid, if it is.
+ *
+ * @param {*} value
+ * @param {string[]} known
+ * @param {string} label - Body field name
+ * @returns {string|null}
+ */
+function checkNames(value, known, label) {
+  if (!Array.isArray(value) || !value.length || !value.every(name => typeof name === 'string')) {
+    return `${label} must be a non-empty array of names`;
+  }
+  const unknown = value.filter(name => !known.includes(name));
+  return unknown.length ? `Unknown ${label}: ${unknown.join(', ')}. Known: ${known.join(', ')}` : null;
+}
+
+/** Answer a request with a JSON error. */
+function sendError(res, status, message) {
+  res.writeHead(status, JSON_HEADERS);
+  res.end(JSON.stringify({ error: message }));
+}
 
+/**
+ * Run reviews for pages × viewports, streaming SSE events. Malformed bodies
+ * and unknown viewports or engines are answered with a 400 before the
+ * stream starts.
+ */
+async function runReview(req, res) {
   let body;
   try {
     body = await readBody(req);
   } catch {
-    sendEvent(res, 'error', { message: 'Invalid request body' });
-    res.end();
+    sendError(res, 400, 'Invalid request body');
     return;
   }
 
@@ -218,39 +337,113 @@ async function runReview(req, res) {
     baseUrl,
     pages = [],
     viewports = ['desktop'],
+    engines = ['chromium'],
     allowPrivate = false,
     reportId,       // Resume existing report
-    skipCompleted,  // Array of "page::viewport" keys to skip
+    skipCompleted,  // Array of "page::viewport::engine" keys to skip
     watchMode = false,
+    fullPage,
+    emulation,      // Emulation matrix, defaults to the manifest's
+    wait,           // Wait strategy overrides for every page
+    throttling,     // Throttling profile name; null turns off the manifest's
+    loadingShots,   // ms offsets for loading screenshots, defaults to the manifest's
     authState,
+    cache,          // false re-analyzes instead of using cached answers
+    verify,         // Verification pass: off, mark or drop; defaults to the manifest's
   } = body;
 
-  if (!baseUrl || !pages.length) {
+  let config;
+  try {
+    config = getOllamaConfig({
+      ...(cache === false && { cache: false }),
+      ...(verify !== undefined && { verify }),
+    });
+  } catch (err) {
+    sendError(res, 400, `Config error: ${err.message}`);
+    return;
+  }
+
+  const listError = checkNames(viewports, Object.keys(config.viewportDefinitions), 'viewports')
+    || checkNames(engines, ENGINES, 'engines');
+  if (listError) {
+    sendError(res, 400, listError);
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+  });
+
+  if (!baseUrl || !Array.isArray(pages) || !pages.length) {
     sendEvent(res, 'error', { message: 'baseUrl and at least one page are required' });
     res.end();
     return;
   }
 
-  const resolvedViewports = viewports.map(name => {
-    const vp = VIEWPORTS[name];
-    if (!vp) return null;
-    return { name, ...vp };
-  }).filter(Boolean);
+  // Pages pick up actions/states/selector/masks/wait from the manifest page with the same path;
+  // fields sent in the request win.
+  const manifestPages = new Map((config.pages || []).map(p => [p.path, p]));
+  let reviewPages;
+  let httpAuth;
+  const throttlingProfile = (throttling === undefined ? config.throttling : throttling) || undefined;
+  const shots = loadingShots ?? config.loadingShots;
+  try {
+    if (wait !== undefined) validateWait(wait, 'wait');
+    if (throttlingProfile) validateThrottling(throttlingProfile);
+    validateLoadingShots(shots);
+    httpAuth = resolveHttpAuth(body, config);
+    reviewPages = pages.map(p => {
+      const page = { ...manifestPages.get(p.path), ...p };
+      const label = `Page "${page.name || page.path}"`;
+      validatePageSelector(page, label);
+      validateMasking(page, label);
+      if (page.wait !== undefined) validateWait(page.wait, `${label} wait`);
+      if (page.actions !== undefined) validateActions(page.actions, label);
+      if (page.states !== undefined) validateStates(page.states, label);
+      return page;
+    });
+  } catch (err) {
+    sendEvent(res, 'error', { message: err.message });
+    res.end();
+    return;
+  }
+
+  const resolvedViewports = viewports.map(name => ({ name, ...config.viewportDefinitions[name] }));
 
-  if (!resolvedViewports.length) {
-    sendEvent(res, 'error', { message: 'No valid viewports selected' });
+  try {
+    if (throttlingProfile) engines.forEach(engine => checkThrottlingEngine(throttlingProfile, engine));
+  } catch (err) {
+    sendEvent(res, 'error', { message: err.message });
     res.end();
     return;
   }
 
-  let config;
+  const matrix = emulation ?? config.emulation ?? {};
   try {
-    config = getOllamaConfig();
+    validateEmulationMatrix(matrix);
   } catch (err) {
-    sendEvent(res, 'error', { message: `Config error: ${err.message}` });
+    sendEvent(res, 'error', { message: err.message });
     res.end();
     return;
   }
+  const profiles = expandEmulationMatrix(matrix);
+
+  // The default state (page actions only) is always reviewed, then each named state
+  const combos = [];
+  for (const page of reviewPages) {
+    for (const state of [null, ...(page.states || [])]) {
+      for (const profile of profiles) {
+        for (const viewport of resolvedViewports) {
+          for (const engine of engines) {
+            combos.push({ page, state, profile, viewport, engine });
+          }
+        }
+      }
+    }
+  }
 
   // Load or create report
   let report;
@@ -271,19 +464,34 @@ async function runReview(req, res) {
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       status: 'running',
-      config: { model: config.model, viewports },
-      pages: pages.map(p => ({ name: p.name, path: p.path })),
-      totalExpected: pages.length * resolvedViewports.length,
-      results: {},   // keyed by "pageName::viewport"
-      errors: {},    // keyed by "pageName::viewport"
-      summary: { pages: 0, issues: 0, critical: 0, warning: 0, suggestion: 0 },
+      config: {
+        model: config.model,
+        ...(config.models?.length > 1 && { models: config.models }),
+        viewports,
+        engines,
+        fullPage: Boolean(fullPage ?? config.fullPage),
+        emulation: profiles.filter(Boolean).map(p => p.name),
+        ...(throttlingProfile && { throttling: throttlingProfile }),
+        ...(shots.length && { loadingShots: shots }),
+        ...(isVerifying(config) && { verify: config.verify }),
+        ...redactAuth(httpAuth),
+      },
+      pages: reviewPages.map(p => ({
+        name: p.name,
+        path: p.path,
+        ...(p.states?.length && { states: p.states.map(st => st.name) }),
+      })),
+      totalExpected: combos.length,
+      results: {},   // keyed by "pageName::viewport::engine[::state][::@emulation]"
+      errors: {},    // keyed by "pageName::viewport::engine[::state][::@emulation]"
+      summary: { pages: 0, issues: 0, critical: 0, warning: 0, suggestion: 0, runtime: 0 },
     };
   }
 
   // Build skip set from existing results
   const skip = new Set(skipCompleted || Object.keys(report.results));
 
-  sendEvent(res, 'report-id', { reportId: report.id });
+  sendEvent(res, 'report-id', { reportId: report.id, total: combos.length });
   saveReport(report);
 
   let aborted = false;
@@ -291,180 +499,261 @@ async function runReview(req, res) {
 
   try {
     // Health check
-    sendEvent(res, 'progress', { status: 'health-check', message: `Checking Ollama at ${config.ollamaUrl}...` });
-    await healthCheck(config);
+    sendEvent(res, 'progress', { status: 'health-check', message: `Checking ${providerLabel(config)} at ${hostsLabel(config)}...` });
+    const { hosts } = await healthCheck(config);
+    for (const host of hosts.filter(h => !h.ok)) {
+      sendEvent(res, 'progress', { status: 'health-check', message: `${host.url} is unreachable, reviewing without it: ${host.error}` });
+    }
 
     // Prewarm
-    sendEvent(res, 'progress', { status: 'prewarm', message: `Prewarming ${config.model}...` });
-    await prewarm(config);
+    for (const model of reviewModels(config)) {
+      sendEvent(res, 'progress', { status: 'prewarm', message: `Prewarming ${model}...` });
+      await prewarm({ ...config, model });
+    }
 
     const systemPrompt = loadPrompt('review-system');
 
-    // Process each page × viewport sequentially (GPU-bound)
-    for (const page of pages) {
-      if (aborted) break;
-
-      for (const viewport of resolvedViewports) {
-        if (aborted) break;
-
-        const key = resultKey(page.name, viewport.name);
-        const fullUrl = baseUrl.replace(/\/$/, '') + page.path;
-        const pageLabel = page.name || page.path;
-
-        // Skip already-completed combos
-        if (skip.has(key)) {
-          sendEvent(res, 'progress', {
-            status: 'skipped',
+    // Review one page × state × emulation × viewport × engine combination
+    const reviewCombo = async ({ page, state, profile, viewport, engine }) => {
+      if (aborted) return;
+
+      const key = resultKey(page.name, viewport.name, engine, state?.name, profile?.name);
+      const fullUrl = baseUrl.replace(/\/$/, '') + page.path;
+      const pageLabel = page.name || page.path;
+      const comboLabel = [viewport.name, engine, state?.name, profile?.name].filter(Boolean).join(', ');
+
+      // Skip already-completed combos
+      if (skip.has(key)) {
+        sendEvent(res, 'progress', {
+          status: 'skipped',
+          page: pageLabel,
+          viewport: viewport.name,
+          engine,
+          state: state?.name,
+          emulation: profile?.name,
+          message: `Skipping ${pageLabel} (${comboLabel}) — already reviewed`,
+        });
+        // Re-send cached result so frontend can render it
+        if (report.results[key]) {
+          sendEvent(res, 'result', {
             page: pageLabel,
             viewport: viewport.name,
-            message: `Skipping ${pageLabel} (${viewport.name}) — already reviewed`,
+            engine,
+            state: state?.name,
+            emulation: profile?.name,
+            key,
+            data: report.results[key],
+            cached: true,
           });
-          // Re-send cached result so frontend can render it
-          if (report.results[key]) {
-            sendEvent(res, 'result', {
-              page: pageLabel,
-              viewport: viewport.name,
-              data: report.results[key],
-              cached: true,
-            });
-          }
-          continue;
         }
+        return;
+      }
 
-        try {
-          // Capture
-          sendEvent(res, 'progress', {
-            status: 'capturing',
-            page: pageLabel,
-            viewport: viewport.name,
-            message: `Capturing ${pageLabel} at ${viewport.name}...`,
-          });
-
-          const buffer = await captureScreenshot({
-            url: fullUrl,
-            viewport,
-            config,
-            allowPrivate,
-            headless: !watchMode,
-            storageState: authState || undefined,
-          });
-
-          // Save screenshot to disk
-          const screenshotDir = join(REPORTS_DIR, report.id, 'screenshots');
-          mkdirSync(screenshotDir, { recursive: true });
-          const screenshotFilename = `${sanitizeName(page.name)}_${viewport.name}.png`;
-          writeFileSync(join(screenshotDir, screenshotFilename), buffer);
-          const screenshotPath = `screenshots/${screenshotFilename}`;
-
-          sendEvent(res, 'progress', {
-            status: 'captured',
-            page: pageLabel,
-            viewport: viewport.name,
-            message: `Screenshot ${(buffer.length / 1024).toFixed(0)}KB — saved`,
-          });
-
-          // Analyze
-          sendEvent(res, 'progress', {
-            status: 'analyzing',
-            page: pageLabel,
-            viewport: viewport.name,
-            message: `Analyzing ${pageLabel} (${viewport.name}) with ${config.model}...`,
-          });
+      try {
+        // Capture
+        sendEvent(res, 'progress', {
+          status: 'capturing',
+          page: pageLabel,
+          viewport: viewport.name,
+          engine,
+          state: state?.name,
+          emulation: profile?.name,
+          message: `Capturing ${pageLabel} (${comboLabel})...`,
+        });
+
+        const capture = await captureScreenshot({
+          url: fullUrl,
+          viewport,
+          config,
+          allowPrivate,
+          headless: !watchMode,
+          storageState: authState || undefined,
+          ...httpAuth,
+          fullPage: page.fullPage ?? fullPage ?? config.fullPage,
+          engine,
+          actions: [...(page.actions || []), ...(state?.actions || [])],
+          selector: page.selector,
+          selectorPadding: page.selectorPadding ?? config.selectorPadding,
+          emulation: profile?.settings,
+          mask: [...config.mask, ...(page.mask || [])],
+          hide: [...config.hide, ...(page.hide || [])],
+          digest: config.digest,
+          wait: { ...config.wait, ...wait, ...page.wait },
+          throttling: throttlingProfile,
+          loadingShots: shots,
+        });
+
+        // Save screenshot to disk
+        const screenshotDir = join(REPORTS_DIR, report.id, 'screenshots');
+        mkdirSync(screenshotDir, { recursive: true });
+        const variantSuffix = [state?.name, profile?.name].filter(Boolean).map(n => `_${sanitizeName(n)}`).join('');
+        const screenshotFilename = `${sanitizeName(page.name)}_${viewport.name}_${engine}${variantSuffix}.png`;
+        writeFileSync(join(screenshotDir, screenshotFilename), capture.buffer);
+        const screenshotPath = `screenshots/${screenshotFilename}`;
+
+        // Loading frames sit next to the final screenshot, named by their offset
+        const loadingPaths = (capture.loading || []).map((frame) => {
+          const frameFilename = screenshotFilename.replace(/\.png$/, `_load-${frame.at}ms.png`);
+          writeFileSync(join(screenshotDir, frameFilename), frame.buffer);
+          return `screenshots/${frameFilename}`;
+        });
+
+        // Structural digest sits next to its screenshot
+        let digestPath;
+        if (capture.digest) {
+          const digestFilename = screenshotFilename.replace(/\.png$/, '.digest.json');
+          writeFileSync(join(screenshotDir, digestFilename), JSON.stringify(capture.digest, null, 2));
+          digestPath = `screenshots/${digestFilename}`;
+        }
 
-          const prompt = loadPrompt('review', {
+        const tileNote = capture.loading?.length
+          ? `, ${capture.loading.length} loading frame(s)`
+          : capture.component
+            ? `, component ${capture.component.selector} (${capture.component.width}x${capture.component.height}px)`
+            : capture.tiles ? `, ${capture.tiles.length} tile(s) over ${capture.pageHeight}px` : '';
+        sendEvent(res, 'progress', {
+          status: 'captured',
+          page: pageLabel,
+          viewport: viewport.name,
+          engine,
+          state: state?.name,
+          emulation: profile?.name,
+          message: `Screenshot ${(capture.buffer.length / 1024).toFixed(0)}KB${tileNote} — saved`,
+        });
+
+        // Analyze
+        sendEvent(res, 'progress', {
+          status: 'analyzing',
+          page: pageLabel,
+          viewport: viewport.name,
+          engine,
+          state: state?.name,
+          emulation: profile?.name,
+          message: `Analyzing ${pageLabel} (${comboLabel}) with ${reviewModels(config).join(', ')}...`,
+        });
+
+        const result = await reviewCapture({
+          config,
+          capture,
+          systemPrompt,
+          promptVars: {
             url: fullUrl,
             viewport: viewport.name,
             viewportWidth: viewport.width,
             viewportHeight: viewport.height,
-          });
-
-          const raw = await analyze({
-            config,
-            systemPrompt,
-            prompt,
-            images: [buffer],
-          });
-
-          let result = sanitizeResult(raw, { url: fullUrl, viewport: viewport.name });
-
-          // Fallback 1: try re-parsing the summary text as JSON
-          if (result._raw && result.summary) {
-            const retried = parseVlmJson(result.summary);
-            if (!retried._raw) {
-              result = sanitizeResult(retried, { url: fullUrl, viewport: viewport.name });
-            }
-          }
-
-          // Fallback 2: send raw text back through VLM for JSON reformatting
-          if (result._raw && result.summary) {
+          },
+          engine,
+          state,
+          emulation: profile,
+          onTile: (tile, count) => {
+            sendEvent(res, 'progress', {
+              status: 'analyzing',
+              page: pageLabel,
+              viewport: viewport.name,
+              engine,
+              state: state?.name,
+              emulation: profile?.name,
+              message: `Analyzing ${pageLabel} (${comboLabel}) tile ${tile.index + 1}/${count} at y=${tile.y}px...`,
+            });
+          },
+          onReformat: () => {
             sendEvent(res, 'progress', {
               status: 'reformatting',
               page: pageLabel,
               viewport: viewport.name,
-              message: `Reformatting raw response for ${pageLabel} (${viewport.name})...`,
+              engine,
+              state: state?.name,
+              emulation: profile?.name,
+              message: `Reformatting raw response for ${pageLabel} (${comboLabel})...`,
             });
+          },
+          onVerify: (count) => {
+            sendEvent(res, 'progress', {
+              status: 'verifying',
+              page: pageLabel,
+              viewport: viewport.name,
+              engine,
+              state: state?.name,
+              emulation: profile?.name,
+              message: `Verifying ${count} issue(s) for ${pageLabel} (${comboLabel})...`,
+            });
+          },
+          onModel: (model, i, count) => {
+            sendEvent(res, 'progress', {
+              status: 'analyzing',
+              page: pageLabel,
+              viewport: viewport.name,
+              engine,
+              state: state?.name,
+              emulation: profile?.name,
+              message: `Analyzing ${pageLabel} (${comboLabel}) with ${model} (model ${i + 1}/${count})...`,
+            });
+          },
+          onSchemaFallback: (model, err) => {
+            sendEvent(res, 'progress', {
+              status: 'analyzing',
+              page: pageLabel,
+              viewport: viewport.name,
+              engine,
+              state: state?.name,
+              emulation: profile?.name,
+              message: `${model} does not support structured output, falling back to free-form JSON: ${err.message}`,
+            });
+          },
+        });
+
+        // Annotated copy with numbered issue boxes sits next to the screenshot
+        const annotated = await annotateScreenshot(capture.buffer, result.issues).catch(() => null);
+        if (annotated) {
+          const annotatedFilename = screenshotFilename.replace(/\.png$/, '_annotated.png');
+          writeFileSync(join(screenshotDir, annotatedFilename), annotated);
+          result.annotated = `screenshots/${annotatedFilename}`;
+        }
 
-            try {
-              const reformatPrompt = loadPrompt('reformat', { rawText: result.summary });
-              const reformatted = await analyze({
-                config,
-                systemPrompt: 'You convert UI review text into structured JSON. Respond only with valid JSON.',
-                prompt: reformatPrompt,
-                images: [],
-              });
-              const parsed = parseVlmJson(typeof reformatted === 'string' ? reformatted : JSON.stringify(reformatted));
-              if (!parsed._raw && Array.isArray(parsed.issues)) {
-                result = sanitizeResult(parsed, { url: fullUrl, viewport: viewport.name });
-              }
-            } catch { /* keep original _raw result */ }
-          }
-
-          // Store in report (include screenshot reference)
-          result.screenshot = screenshotPath;
-          report.results[key] = result;
-          delete report.errors[key];
-
-          // Update summary
-          report.summary.pages = Object.keys(report.results).length;
-          report.summary.issues = 0;
-          report.summary.critical = 0;
-          report.summary.warning = 0;
-          report.summary.suggestion = 0;
-          for (const r of Object.values(report.results)) {
-            for (const issue of r.issues || []) {
-              report.summary.issues++;
-              report.summary[issue.severity] = (report.summary[issue.severity] || 0) + 1;
-            }
-          }
-
-          report.updatedAt = new Date().toISOString();
-          saveReport(report);
-
-          sendEvent(res, 'result', {
-            page: pageLabel,
-            viewport: viewport.name,
-            data: result,
-          });
-
-        } catch (err) {
-          report.errors[key] = { message: err.message, timestamp: new Date().toISOString() };
-          report.updatedAt = new Date().toISOString();
-          saveReport(report);
-
-          sendEvent(res, 'page-error', {
-            page: pageLabel,
-            viewport: viewport.name,
-            message: err.message,
-          });
+        // Store in report (include screenshot reference)
+        result.screenshot = screenshotPath;
+        if (digestPath) result.digest = digestPath;
+        if (result.loading) {
+          result.loading = result.loading.map((frame, i) => ({ ...frame, screenshot: loadingPaths[i] }));
         }
+        recordOutcome(report, key, { result });
+
+        sendEvent(res, 'result', {
+          page: pageLabel,
+          viewport: viewport.name,
+          engine,
+          state: state?.name,
+          emulation: profile?.name,
+          key,
+          data: result,
+          ...(result.cache && { cache: result.cache }),
+        });
+
+      } catch (err) {
+        recordOutcome(report, key, { error: err });
+
+        sendEvent(res, 'page-error', {
+          page: pageLabel,
+          viewport: viewport.name,
+          engine,
+          state: state?.name,
+          emulation: profile?.name,
+          key,
+          message: err.message,
+        });
       }
-    }
+    };
+
+    // Combinations run side by side up to what the VLM hosts can take at once
+    // (see hosts.js); with a single host that is one at a time (GPU-bound)
+    const limit = pLimit(Math.min(config.concurrency, hostCapacity(config)));
+    await Promise.all(combos.map(combo => limit(() => reviewCombo(combo))));
 
     report.status = aborted ? 'interrupted' : 'complete';
     report.updatedAt = new Date().toISOString();
     saveReport(report);
 
-    sendEvent(res, 'done', { summary: report.summary, reportId: report.id });
+    sendEvent(res, 'done', { summary: report.summary, stats: report.stats, reportId: report.id });
   } catch (err) {
     report.status = 'error';
     report.updatedAt = new Date().toISOString();
@@ -475,7 +764,6 @@ async function runReview(req, res) {
   res.end();
 }
 
-const JSON_HEADERS = { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' };
 
 const server = createServer(async (req, res) => {
   const url = new URL(req.url, `http://localhost:${PORT}`);
@@ -497,9 +785,14 @@ const server = createServer(async (req, res) => {
       const config = getOllamaConfig();
       res.writeHead(200, JSON_HEADERS);
       res.end(JSON.stringify({
-        viewports: Object.entries(VIEWPORTS).map(([name, dims]) => ({ name, ...dims })),
+        viewports: Object.entries(config.viewportDefinitions).map(([name, dims]) => ({ name, ...dims })),
+        engines: ENGINES.map(name => ({ name, label: ENGINE_LABELS[name] })),
+        emulation: config.emulation || {},
+        throttling: { profiles: Object.keys(THROTTLING_PROFILES), default: config.throttling || null, loadingShots: config.loadingShots },
+        provider: config.provider,
         ollamaUrl: config.ollamaUrl,
         model: config.model,
+        models: reviewModels(config),
       }));
     } catch (err) {
       res.writeHead(500, JSON_HEADERS);
@@ -513,7 +806,7 @@ const server = createServer(async (req, res) => {
       const config = getOllamaConfig();
       const result = await healthCheck(config);
       res.writeHead(200, JSON_HEADERS);
-      res.end(JSON.stringify({ ok: true, models: result.models, ollamaUrl: config.ollamaUrl }));
+      res.end(JSON.stringify({ ok: true, models: result.models, hosts: result.hosts, provider: providerLabel(config), ollamaUrl: config.ollamaUrl }));
     } catch (err) {
       res.writeHead(200, JSON_HEADERS);
       res.end(JSON.stringify({ ok: false, error: err.message }));
@@ -541,12 +834,13 @@ const server = createServer(async (req, res) => {
     return;
   }
 
-  // GET /api/reports/:id/screenshots/:filename
-  const screenshotMatch = url.pathname.match(/^\/api\/reports\/([a-z0-9-]+)\/screenshots\/([a-zA-Z0-9_.-]+\.png)$/);
+  // GET /api/reports/:id/screenshots/:filename (screenshots and their DOM digests)
+  const screenshotMatch = url.pathname.match(/^\/api\/reports\/([a-z0-9-]+)\/screenshots\/([a-zA-Z0-9_.-]+\.(png|digest\.json))$/);
   if (screenshotMatch && req.method === 'GET') {
     const filePath = join(REPORTS_DIR, screenshotMatch[1], 'screenshots', screenshotMatch[2]);
     if (existsSync(filePath)) {
-      res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'public, max-age=86400' });
+      const contentType = screenshotMatch[3] === 'png' ? 'image/png' : 'application/json';
+      res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'public, max-age=86400' });
       res.end(readFileSync(filePath));
     } else {
       res.writeHead(404);
@@ -566,7 +860,12 @@ const server = createServer(async (req, res) => {
         return;
       }
 
-      const result = await executeLogin({ baseUrl, loginUrl, username, password, allowPrivate });
+      const config = getOllamaConfig();
+      const result = await executeLogin({
+        baseUrl, loginUrl, username, password, allowPrivate,
+        network: config.network,
+        httpAuth: resolveHttpAuth(body, config),
+      });
       res.writeHead(200, JSON_HEADERS);
       res.end(JSON.stringify({ ok: true, ...result }));
     } catch (err) {
@@ -582,7 +881,12 @@ const server = createServer(async (req, res) => {
   }
 
   if (url.pathname === '/api/review' && req.method === 'POST') {
-    await runReview(req, res);
+    await runReview(req, res).catch((err) => {
+      // An error escaping here would be an unhandled rejection
+      console.error(`[review] ${err.stack || err.message}`);
+      if (!res.headersSent) sendError(res, 500, err.message);
+      else res.end();
+    });
     return;
   }
 
@@ -606,6 +910,22 @@ const server = createServer(async (req, res) => {
   res.end('Method not allowed');
 });
 
+// Close pooled browsers on Ctrl-C or kill so no browser processes are orphaned
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    server.close();
+    await closeBrowserPool();
+    process.exit(signal === 'SIGINT' ? 130 : 143);
+  });
+}
+
+// Size the browser pool once; a config error is reported again with each review
+try {
+  configureBrowserPool(getOllamaConfig().browserPool);
+} catch (err) {
+  console.error(`Config error: ${err.message}. Using the default browser pool.`);
+}
+
 server.listen(PORT, () => {
   console.log(`ui-review server running at http://localhost:${PORT}`);
   console.log(`Reports saved to: ${REPORTS_DIR}`);
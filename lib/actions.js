@@ -0,0 +1,155 @@
+import { ConfigError, CaptureError } from './errors.js';
+
+/**
+ * Scripted pre-capture interactions.
+ *
+ * Manifest pages can carry an `actions` list (and named `states`, each with
+ * their own actions) to bring the page into a UI state that isn't visible on
+ * load: open modals, expanded menus, filled forms, error toasts.
+ */
+
+/** Supported action types and the fields each one requires */
+const ACTION_TYPES = {
+  'click': ['selector'],
+  'fill': ['selector', 'value'],
+  'hover': ['selector'],
+  'press': ['key'],
+  'scroll': [],
+  'wait-for-selector': ['selector'],
+  'evaluate': ['script'],
+};
+
+const DEFAULT_ACTION_TIMEOUT = 10_000;
+
+/**
+ * Short human-readable description of an action for error messages.
+ * @param {Object} action
+ * @returns {string}
+ */
+function describeAction(action) {
+  const target = action.selector ? ` "${action.selector}"` : action.key ? ` ${action.key}` : '';
+  return `${action.type}${target}`;
+}
+
+/**
+ * Validate an actions list from the manifest or an API request body.
+ *
+ * @param {Array} actions
+ * @param {string} label - Owner of the list, used in error messages (e.g. 'Page "checkout"')
+ * @throws {ConfigError}
+ */
+export function validateActions(actions, label) {
+  if (!Array.isArray(actions)) {
+    throw new ConfigError(`${label}: actions must be an array`);
+  }
+
+  for (const [i, action] of actions.entries()) {
+    const where = `${label} action ${i + 1}`;
+    if (!action || typeof action !== 'object') {
+      throw new ConfigError(`${where} must be an object`);
+    }
+    const required = ACTION_TYPES[action.type];
+    if (!required) {
+      throw new ConfigError(`${where}: unknown type "${action.type}". Known: ${Object.keys(ACTION_TYPES).join(', ')}`);
+    }
+    for (const field of required) {
+      if (typeof action[field] !== 'string' || (field !== 'value' && !action[field])) {
+        throw new ConfigError(`${where} (${action.type}) needs a "${field}" string`);
+      }
+    }
+    if (action.selector !== undefined && typeof action.selector !== 'string') {
+      throw new ConfigError(`${where}: selector must be a string`);
+    }
+    if (action.type === 'scroll' && action.selector === undefined && !Number.isFinite(action.y)) {
+      throw new ConfigError(`${where} (scroll) needs a "selector" or a numeric "y"`);
+    }
+    if (action.timeout !== undefined && (!Number.isInteger(action.timeout) || action.timeout < 0 || action.timeout > 60_000)) {
+      throw new ConfigError(`${where}: timeout must be an integer between 0 and 60000ms`);
+    }
+    if (action.delay !== undefined && (!Number.isInteger(action.delay) || action.delay < 0 || action.delay > 10_000)) {
+      throw new ConfigError(`${where}: delay must be an integer between 0 and 10000ms`);
+    }
+    if (action.state !== undefined && !['attached', 'detached', 'visible', 'hidden'].includes(action.state)) {
+      throw new ConfigError(`${where}: state must be one of attached, detached, visible, hidden`);
+    }
+  }
+}
+
+/**
+ * Validate the named states of a page.
+ *
+ * @param {Array} states - [{ name, description?, actions }]
+ * @param {string} label - Owner of the list, used in error messages
+ * @throws {ConfigError}
+ */
+export function validateStates(states, label) {
+  if (!Array.isArray(states)) {
+    throw new ConfigError(`${label}: states must be an array`);
+  }
+
+  const names = new Set();
+  for (const state of states) {
+    if (!state || typeof state.name !== 'string' || !/^[a-z0-9_-]+$/i.test(state.name)) {
+      throw new ConfigError(`${label}: each state needs a "name" using only alphanumeric, hyphens, underscores`);
+    }
+    if (names.has(state.name)) {
+      throw new ConfigError(`${label}: duplicate state "${state.name}"`);
+    }
+    names.add(state.name);
+    if (state.description !== undefined && typeof state.description !== 'string') {
+      throw new ConfigError(`${label} state "${state.name}": description must be a string`);
+    }
+    validateActions(state.actions || [], `${label} state "${state.name}"`);
+  }
+}
+
+/**
+ * Run a list of actions against a Playwright page, in order.
+ *
+ * @param {import('playwright').Page} page
+ * @param {Array} actions - Validated actions
+ * @throws {CaptureError} When an action fails, naming the failing step
+ */
+export async function runActions(page, actions = []) {
+  for (const [i, action] of actions.entries()) {
+    const timeout = action.timeout ?? DEFAULT_ACTION_TIMEOUT;
+    try {
+      switch (action.type) {
+        case 'click':
+          await page.click(action.selector, { timeout });
+          break;
+        case 'fill':
+          await page.fill(action.selector, action.value, { timeout });
+          break;
+        case 'hover':
+          await page.hover(action.selector, { timeout });
+          break;
+        case 'press':
+          if (action.selector) {
+            await page.press(action.selector, action.key, { timeout });
+          } else {
+            await page.keyboard.press(action.key);
+          }
+          break;
+        case 'scroll':
+          if (action.selector) {
+            await page.locator(action.selector).first().scrollIntoViewIfNeeded({ timeout });
+          } else {
+            await page.evaluate(y => window.scrollTo(0, y), action.y);
+          }
+          break;
+        case 'wait-for-selector':
+          await page.waitForSelector(action.selector, { state: action.state || 'visible', timeout });
+          break;
+        case 'evaluate':
+          await page.evaluate(action.script);
+          break;
+      }
+    } catch (err) {
+      throw new CaptureError(`Action ${i + 1} (${describeAction(action)}) failed: ${err.message}`);
+    }
+
+    // Let transitions triggered by the action start before the next step
+    if (action.delay) await page.waitForTimeout(action.delay);
+  }
+}
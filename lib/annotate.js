@@ -0,0 +1,38 @@
+import { drawImage } from './canvas.js';
+import { pngSize } from './preprocess.js';
+
+/**
+ * Annotated screenshots: numbered boxes around the issues that carry a
+ * bounding box, drawn over a copy of the screenshot by canvas.js.
+ */
+
+const SEVERITY_COLORS = { critical: '#e5484d', warning: '#f5a524', suggestion: '#3e8ef7' };
+
+/**
+ * Draw numbered boxes for the issues that have one. Numbers are the issue's
+ * position in `issues`, starting at 1, so they match the report order.
+ *
+ * @param {Buffer} screenshot - PNG screenshot the boxes are relative to
+ * @param {Array<Object>} issues - Sanitized issues; `box` is [x1, y1, x2, y2] in fractions
+ * @returns {Promise<Buffer|null>} Annotated PNG, or null when no issue has a box
+ */
+export async function annotateScreenshot(screenshot, issues) {
+  const boxes = issues
+    .map((issue, i) => ({ ...issue, number: i + 1 }))
+    .filter(issue => issue.box);
+  if (!boxes.length) return null;
+
+  const { width, height } = pngSize(screenshot);
+  return drawImage(screenshot, {
+    width,
+    height,
+    boxes: boxes.map(({ box: [x1, y1, x2, y2], severity, number }) => ({
+      x: Math.round(x1 * width),
+      y: Math.round(y1 * height),
+      width: Math.round((x2 - x1) * width),
+      height: Math.round((y2 - y1) * height),
+      color: SEVERITY_COLORS[severity] || SEVERITY_COLORS.suggestion,
+      label: String(number),
+    })),
+  });
+}
@@ -0,0 +1,185 @@
+import * as playwright from 'playwright';
+
+/**
+ * Shared Playwright browser pool.
+ *
+ * Launching a browser costs ~0.5-1s, which dominates a page × viewport review
+ * when every capture starts its own browser. Browsers are launched lazily,
+ * kept alive between calls and handed out as fresh, isolated contexts.
+ * A browser that crashes or disconnects is dropped and relaunched on the
+ * next acquire.
+ */
+
+const DEFAULT_OPTIONS = {
+  maxBrowsers: 2,
+  maxContextsPerBrowser: 4,
+  idleTimeout: 60_000,
+};
+
+let options = { ...DEFAULT_OPTIONS };
+
+/** Pools keyed by launch options, e.g. "chromium:headless" / "webkit:headed" */
+const pools = new Map();
+
+let closing = false;
+
+/**
+ * Override pool limits. Applies to browsers launched after the call.
+ *
+ * @param {Object} overrides
+ * @param {number} [overrides.maxBrowsers] - Max browsers per launch configuration
+ * @param {number} [overrides.maxContextsPerBrowser] - Max concurrent contexts per browser
+ * @param {number} [overrides.idleTimeout] - Close browsers idle for this long (ms)
+ */
+export function configureBrowserPool(overrides = {}) {
+  options = { ...options, ...overrides };
+}
+
+function getPool(key) {
+  let pool = pools.get(key);
+  if (!pool) {
+    pool = { entries: [], waiters: [] };
+    pools.set(key, pool);
+  }
+  return pool;
+}
+
+/**
+ * Remove a browser from its pool and close it.
+ */
+function discard(pool, entry) {
+  clearTimeout(entry.idleTimer);
+  const idx = pool.entries.indexOf(entry);
+  if (idx !== -1) pool.entries.splice(idx, 1);
+  entry.browser.close().catch(() => {});
+  wakeWaiter(pool);
+}
+
+function wakeWaiter(pool) {
+  const waiter = pool.waiters.shift();
+  if (waiter) waiter();
+}
+
+async function launch(pool, { engine, headless }) {
+  // Reserve the slot before awaiting so concurrent acquires don't overshoot maxBrowsers
+  const entry = { browser: null, leases: 1, idleTimer: null, ready: null };
+  pool.entries.push(entry);
+
+  entry.ready = playwright[engine].launch({ headless });
+  try {
+    entry.browser = await entry.ready;
+  } catch (err) {
+    pool.entries.splice(pool.entries.indexOf(entry), 1);
+    wakeWaiter(pool);
+    throw err;
+  }
+
+  entry.browser.on('disconnected', () => {
+    const idx = pool.entries.indexOf(entry);
+    if (idx !== -1) pool.entries.splice(idx, 1);
+    clearTimeout(entry.idleTimer);
+    wakeWaiter(pool);
+  });
+
+  return entry;
+}
+
+/**
+ * Lease a healthy browser, launching one if the pool has room,
+ * otherwise waiting for a lease to be released.
+ */
+async function acquire(launchOptions) {
+  const key = `${launchOptions.engine}:${launchOptions.headless ? 'headless' : 'headed'}`;
+  const pool = getPool(key);
+
+  for (;;) {
+    if (closing) throw new Error('Browser pool is shutting down');
+
+    // Health check: drop browsers that died while idle
+    for (const entry of [...pool.entries]) {
+      if (entry.browser && !entry.browser.isConnected()) discard(pool, entry);
+    }
+
+    const available = pool.entries.find(e => e.browser && e.leases < options.maxContextsPerBrowser);
+    if (available) {
+      clearTimeout(available.idleTimer);
+      available.leases++;
+      return { pool, entry: available };
+    }
+
+    if (pool.entries.length < options.maxBrowsers) {
+      return { pool, entry: await launch(pool, launchOptions) };
+    }
+
+    await new Promise(resolve => pool.waiters.push(resolve));
+  }
+}
+
+function release(pool, entry) {
+  entry.leases--;
+  if (entry.leases === 0 && pool.entries.includes(entry)) {
+    clearTimeout(entry.idleTimer);
+    entry.idleTimer = setTimeout(() => discard(pool, entry), options.idleTimeout);
+    entry.idleTimer.unref();
+  }
+  wakeWaiter(pool);
+}
+
+/**
+ * Run `fn` with a fresh browser context from the pool.
+ *
+ * The context is always closed afterwards; the browser stays pooled.
+ * If the browser crashed during `fn`, it is discarded and `fn` is retried
+ * once on a newly launched browser.
+ *
+ * @param {Object} options
+ * @param {string} [options.engine='chromium'] - Playwright browser type: chromium, firefox or webkit
+ * @param {boolean} [options.headless=true] - Headless or headed (watch mode) browser
+ * @param {Object} [options.contextOptions={}] - Options for browser.newContext()
+ * @param {Function} fn - async (context) => result
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withContext({ engine = 'chromium', headless = true, contextOptions = {} } = {}, fn) {
+  for (let attempt = 0; ; attempt++) {
+    const { pool, entry } = await acquire({ engine, headless });
+    let context;
+    try {
+      context = await entry.browser.newContext(contextOptions);
+      return await fn(context);
+    } catch (err) {
+      if (!entry.browser.isConnected() && attempt === 0 && !closing) {
+        discard(pool, entry);
+        continue; // Browser crashed — retry once on a fresh one
+      }
+      throw err;
+    } finally {
+      if (context) await context.close().catch(() => {});
+      release(pool, entry);
+    }
+  }
+}
+
+/**
+ * Close every pooled browser. Safe to call more than once.
+ *
+ * The pool doesn't handle signals itself: entry points (bin/cli.js,
+ * bin/server.js) call this on SIGINT/SIGTERM so no browser processes are
+ * orphaned.
+ *
+ * @returns {Promise<void>}
+ */
+export async function closeBrowserPool() {
+  closing = true;
+  const closes = [];
+  for (const pool of pools.values()) {
+    for (const entry of pool.entries) {
+      clearTimeout(entry.idleTimer);
+      closes.push(Promise.resolve(entry.ready).then(b => b?.close()).catch(() => {}));
+    }
+    pool.entries = [];
+    for (const waiter of pool.waiters.splice(0)) waiter();
+  }
+  pools.clear();
+  await Promise.all(closes);
+  closing = false;
+}
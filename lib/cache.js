@@ -0,0 +1,179 @@
+import { createHash } from 'node:crypto';
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, statSync, rmSync, rmdirSync, utimesSync, existsSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+
+/**
+ * On-disk cache of model answers.
+ *
+ * Re-running a review after an unrelated deploy produces byte-identical
+ * screenshots; analyzing them again costs minutes of GPU time. Answers are
+ * stored as JSON under `config.cacheDir`, keyed by a hash of everything
+ * that determines the answer: image bytes, prompts, model and options.
+ * Reading an entry bumps its modification time, so pruning drops the least
+ * recently used entries first.
+ */
+
+export const DEFAULT_CACHE_DIR = '.ui-review/cache';
+
+/**
+ * Hash of a buffer or string (hex sha256).
+ * @param {Buffer|string} data
+ * @returns {string}
+ */
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Cache key for a model call.
+ *
+ * @param {Object} request
+ * @param {Object} request.config - App config (provider, model, numPredict, numCtx)
+ * @param {string} [request.systemPrompt]
+ * @param {string} request.prompt
+ * @param {Buffer[]} [request.images]
+ * @param {Object} [request.schema] - Structured-output schema, if sent
+ * @returns {string} Hex sha256
+ */
+export function cacheKey({ config, systemPrompt, prompt, images, schema }) {
+  return sha256(JSON.stringify({
+    provider: config.provider || 'ollama',
+    model: config.model,
+    options: { temperature: 0, numPredict: config.numPredict, numCtx: config.numCtx },
+    schema: schema || null,
+    systemPrompt: systemPrompt || '',
+    prompt,
+    images: (images || []).filter(Boolean).map(sha256),
+  }));
+}
+
+/**
+ * @param {string} dir
+ * @param {string} key
+ * @returns {string}
+ */
+function entryPath(dir, key) {
+  return join(dir, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Read a cached answer.
+ *
+ * Never throws: unreadable entries count as misses.
+ *
+ * @param {string} dir - Cache directory
+ * @param {string} key - From cacheKey()
+ * @returns {Object|null} The stored answer, or null on a miss
+ */
+export function readCache(dir, key) {
+  const path = entryPath(dir, key);
+  try {
+    const entry = JSON.parse(readFileSync(path, 'utf8'));
+    const now = new Date();
+    utimesSync(path, now, now);
+    return entry.response;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store an answer.
+ *
+ * Never throws: a cache that can't be written only costs a re-analysis.
+ *
+ * @param {string} dir - Cache directory
+ * @param {string} key - From cacheKey()
+ * @param {Object} response - Parsed model answer
+ * @param {Object} [meta] - Stored alongside for inspection, e.g. { model }
+ * @returns {boolean} Whether the entry was written
+ */
+export function writeCache(dir, key, response, meta = {}) {
+  const path = entryPath(dir, key);
+  try {
+    mkdirSync(join(dir, key.slice(0, 2)), { recursive: true });
+    writeFileSync(path, JSON.stringify({ createdAt: new Date().toISOString(), ...meta, response }), 'utf8');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * List cache entries with size and last use.
+ * @param {string} dir
+ * @returns {Array<{ path: string, size: number, usedAt: number }>}
+ */
+function listEntries(dir) {
+  if (!existsSync(dir)) return [];
+  const entries = [];
+  for (const shard of readdirSync(dir)) {
+    const shardDir = join(dir, shard);
+    if (!statSync(shardDir).isDirectory()) continue;
+    for (const file of readdirSync(shardDir)) {
+      if (!file.endsWith('.json')) continue;
+      const path = join(shardDir, file);
+      const { size, mtimeMs } = statSync(path);
+      entries.push({ path, size, usedAt: mtimeMs });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Remove entries not used for `maxAgeDays`, then the least recently used
+ * ones until the cache fits in `maxBytes`.
+ *
+ * @param {string} dir - Cache directory
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeDays] - Drop entries unused for longer
+ * @param {number} [options.maxBytes] - Size limit for what's left
+ * @returns {{ removed: number, kept: number, bytes: number }} `bytes` is the size left
+ */
+export function pruneCache(dir, { maxAgeDays, maxBytes } = {}) {
+  const entries = listEntries(dir).sort((a, b) => b.usedAt - a.usedAt);
+  const cutoff = maxAgeDays === undefined ? -Infinity : Date.now() - maxAgeDays * 86_400_000;
+
+  let removed = 0;
+  let kept = 0;
+  let bytes = 0;
+  let full = false;
+  for (const entry of entries) {
+    full ||= maxBytes !== undefined && bytes + entry.size > maxBytes;
+    if (full || entry.usedAt < cutoff) {
+      rmSync(entry.path, { force: true });
+      try {
+        rmdirSync(dirname(entry.path)); // Only succeeds once the shard is empty
+      } catch { /* shard still has entries */ }
+      removed++;
+    } else {
+      kept++;
+      bytes += entry.size;
+    }
+  }
+  return { removed, kept, bytes };
+}
+
+/**
+ * Remove every cache entry. Only entry files are deleted, so a cacheDir
+ * pointed at a shared directory loses nothing else.
+ *
+ * @param {string} dir - Cache directory
+ * @returns {number} Entries removed
+ */
+export function clearCache(dir) {
+  return pruneCache(dir, { maxBytes: 0 }).removed;
+}
+
+/**
+ * Combined cache status of the analyses behind a result.
+ *
+ * @param {Object[]} results - Results of the individual analyses (tiles, models)
+ * @returns {'hit'|'partial'|undefined} undefined when nothing came from the cache
+ */
+export function cacheStatus(results) {
+  const hits = results.filter(r => r.cache === 'hit').length;
+  const partial = results.some(r => r.cache === 'partial');
+  if (hits === results.length && results.length) return 'hit';
+  return hits || partial ? 'partial' : undefined;
+}
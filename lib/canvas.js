@@ -0,0 +1,83 @@
+import { withContext } from './browser-pool.js';
+
+/**
+ * Image drawing in the pooled Chromium.
+ *
+ * There is no image library in the dependency tree, so the images that
+ * preprocess.js and annotate.js produce are drawn on an OffscreenCanvas in
+ * a blank page of the browser pool and encoded there.
+ */
+
+/**
+ * Draw a PNG onto a canvas, optionally with boxes over it, and encode the
+ * canvas.
+ *
+ * @param {Buffer} png - Source image, drawn at the top left corner
+ * @param {Object} spec
+ * @param {number} spec.width - Canvas width in pixels
+ * @param {number} spec.height - Canvas height in pixels
+ * @param {number} [spec.imageWidth=spec.width] - Width the image is drawn at
+ * @param {number} [spec.imageHeight=spec.height] - Height the image is drawn at
+ * @param {string} [spec.background] - Fill color behind the image
+ * @param {Array<Object>} [spec.boxes=[]] - { x, y, width, height, color, label } in canvas pixels
+ * @param {string} [spec.mimeType='image/png']
+ * @param {number} [spec.quality=100] - JPEG and WebP quality, 1-100
+ * @returns {Promise<Buffer>} Encoded image
+ */
+export async function drawImage(png, spec) {
+  const {
+    width,
+    height,
+    imageWidth = width,
+    imageHeight = height,
+    background = null,
+    boxes = [],
+    mimeType = 'image/png',
+    quality = 100,
+  } = spec;
+
+  return withContext({}, async (context) => {
+    const page = await context.newPage();
+    const base64 = await page.evaluate(async (args) => {
+      const bytes = Uint8Array.from(atob(args.data), c => c.charCodeAt(0));
+      const bitmap = await createImageBitmap(new Blob([bytes], { type: 'image/png' }));
+      const canvas = new OffscreenCanvas(args.width, args.height);
+      const ctx = canvas.getContext('2d');
+      if (args.background) {
+        ctx.fillStyle = args.background;
+        ctx.fillRect(0, 0, args.width, args.height);
+      }
+      ctx.imageSmoothingQuality = 'high';
+      ctx.drawImage(bitmap, 0, 0, args.imageWidth, args.imageHeight);
+
+      for (const box of args.boxes) {
+        // White outline first so the colored border shows on any background
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = 'rgba(255,255,255,0.8)';
+        ctx.strokeRect(box.x - 0.5, box.y - 0.5, box.width + 1, box.height + 1);
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = box.color;
+        ctx.strokeRect(box.x + 1.5, box.y + 1.5, box.width - 3, box.height - 3);
+        if (box.label) {
+          ctx.font = 'bold 14px sans-serif';
+          const labelWidth = Math.max(22, ctx.measureText(box.label).width + 12);
+          ctx.fillStyle = box.color;
+          ctx.fillRect(box.x, box.y, labelWidth, 22);
+          ctx.fillStyle = '#fff';
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'middle';
+          ctx.fillText(box.label, box.x + labelWidth / 2, box.y + 11);
+        }
+      }
+
+      const blob = await canvas.convertToBlob({ type: args.mimeType, quality: args.quality / 100 });
+      const out = new Uint8Array(await blob.arrayBuffer());
+      let binary = '';
+      for (let i = 0; i < out.length; i += 0x8000) {
+        binary += String.fromCharCode(...out.subarray(i, i + 0x8000));
+      }
+      return btoa(binary);
+    }, { data: png.toString('base64'), width, height, imageWidth, imageHeight, background, boxes, mimeType, quality });
+    return Buffer.from(base64, 'base64');
+  });
+}
@@ -1,15 +1,12 @@
-import { chromium } from 'playwright';
-import { lookup } from 'node:dns/promises';
 import { CaptureError, ConfigError } from './errors.js';
-
-/**
- * Private IP ranges to block for SSRF prevention.
- * Applied after DNS resolution to catch DNS rebinding.
- */
-const PRIVATE_IP_PATTERNS = [
-  /^127\./, /^10\./, /^172\.(1[6-9]|2\d|3[01])\./, /^192\.168\./,
-  /^169\.254\./, /^0\./, /^::1$/, /^fc00:/i, /^fe80:/i,
-];
+import { withContext } from './browser-pool.js';
+import { createNetworkPolicy, assertUrlAllowed, installNetworkPolicy } from './network-policy.js';
+import { authContextOptions, addAuthCookies, addAuthHeaders } from './http-auth.js';
+import { THROTTLING_PROFILES, checkThrottlingEngine, applyThrottling, applyAfterLoad } from './throttling.js';
+import { runActions } from './actions.js';
+import { collectDigest } from './digest.js';
+import { watchRuntime } from './runtime.js';
+import { watchVitals, collectVitals } from './vitals.js';
 
 /**
  * Validate URL scheme (http/https only).
@@ -30,111 +27,316 @@ function validateUrl(input) {
 }
 
 /**
- * Check if a URL resolves to a private/internal IP (SSRF prevention).
- * Skipped when allowPrivate is true.
+ * Split a scroll height into overlapping vertical tiles.
+ * The last tile is aligned to the bottom of the page so no pixels are lost.
+ *
+ * @param {number} pageHeight - Full scroll height in CSS pixels
+ * @param {number} tileHeight - Height of each tile
+ * @param {number} [overlap=0] - Pixels shared between consecutive tiles
+ * @param {number} [maxTiles=Infinity] - Stop after this many tiles
+ * @returns {Array<{ index: number, y: number, height: number }>}
+ */
+export function planTiles(pageHeight, tileHeight, overlap = 0, maxTiles = Infinity) {
+  if (pageHeight <= tileHeight) {
+    return [{ index: 0, y: 0, height: pageHeight }];
+  }
+
+  const step = Math.max(1, tileHeight - overlap);
+  const tiles = [];
+  for (let y = 0; tiles.length < maxTiles; y += step) {
+    const top = Math.min(y, pageHeight - tileHeight);
+    tiles.push({ index: tiles.length, y: top, height: tileHeight });
+    if (top + tileHeight >= pageHeight) break;
+  }
+  return tiles;
+}
+
+/** Load/readiness strategy used when a page or the manifest doesn't override it */
+export const DEFAULT_WAIT = {
+  waitUntil: 'networkidle',
+  selector: null,
+  predicate: null,
+  settleDelay: 500,
+  timeout: 30_000,
+};
+
+/** Fill color for masked regions; the review prompt tells the model what it means */
+const MASK_COLOR = '#FF00FF';
+
+/**
+ * Screenshot the viewport at fixed offsets after navigation started, until
+ * the page reaches its load state. Offsets after that are skipped; the
+ * final screenshot shows the same thing.
  *
- * @param {URL} url
- * @param {boolean} [allowPrivate=false]
+ * @param {import('playwright').Page} page - Navigation already committed
+ * @param {number[]} shots - Offsets in ms after navigation start, ascending
+ * @param {number} startedAt - Date.now() when navigation started
+ * @param {string} waitUntil - Load state that ends the loading phase
+ * @param {number} timeout - Max ms to wait for that state
+ * @returns {Promise<Array<{ at: number, elapsed: number, buffer: Buffer }>>}
  */
-async function checkSsrf(url, allowPrivate = false) {
-  if (allowPrivate) return;
+async function captureLoading(page, shots, startedAt, waitUntil, timeout) {
+  let loaded = false;
+  const done = page.waitForLoadState(waitUntil === 'commit' ? 'load' : waitUntil, { timeout })
+    .then(() => { loaded = true; });
+
+  const frames = [];
+  for (const at of shots) {
+    await Promise.race([done, new Promise(r => setTimeout(r, Math.max(0, startedAt + at - Date.now())))]);
+    if (loaded) break;
+    const elapsed = Date.now() - startedAt;
+    // Animations keep running: a frozen spinner would misrepresent the loading state
+    const buffer = await page.screenshot({ type: 'png', timeout: 5_000 }).catch(() => null);
+    if (buffer) frames.push({ at, elapsed, buffer });
+  }
+
+  await done;
+  return frames;
+}
 
+/**
+ * Screenshot one element, expanded by `padding` on every side and clamped
+ * to the document bounds.
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} selector - CSS selector; the first visible match is captured
+ * @param {number} padding - Extra CSS pixels around the element
+ * @param {Object} shotOptions - Shared page.screenshot() options (type, masks, ...)
+ * @returns {Promise<{ buffer: Buffer, tiles: null, pageHeight: number, component: Object }>}
+ */
+async function captureComponent(page, selector, padding, shotOptions) {
+  const element = page.locator(selector).first();
   try {
-    const { address } = await lookup(url.hostname);
-    if (PRIVATE_IP_PATTERNS.some(re => re.test(address))) {
-      throw new ConfigError(
-        `URL resolves to private/internal IP (${address}): ${url.href}. ` +
-        'Use --allow-private to override.'
-      );
-    }
-  } catch (err) {
-    if (err instanceof ConfigError) throw err;
-    // DNS resolution failed — let Playwright handle it
+    await element.waitFor({ state: 'visible', timeout: 10_000 });
+  } catch {
+    throw new CaptureError(`Selector "${selector}" did not match a visible element`);
   }
+  await element.scrollIntoViewIfNeeded();
+
+  const box = await element.boundingBox();
+  if (!box || box.width === 0 || box.height === 0) {
+    throw new CaptureError(`Selector "${selector}" matched an element with no size`);
+  }
+
+  // boundingBox() is relative to the viewport; full-page clips use document coordinates
+  const doc = await page.evaluate(() => ({
+    scrollX: window.scrollX,
+    scrollY: window.scrollY,
+    width: document.documentElement.scrollWidth,
+    height: document.documentElement.scrollHeight,
+  }));
+  const left = Math.max(0, Math.floor(box.x + doc.scrollX - padding));
+  const top = Math.max(0, Math.floor(box.y + doc.scrollY - padding));
+  const right = Math.min(doc.width, Math.ceil(box.x + doc.scrollX + box.width + padding));
+  const bottom = Math.min(doc.height, Math.ceil(box.y + doc.scrollY + box.height + padding));
+  const clip = { x: left, y: top, width: right - left, height: bottom - top };
+
+  const buffer = await page.screenshot({
+    ...shotOptions,
+    fullPage: true,
+    clip,
+  });
+
+  return {
+    buffer,
+    tiles: null,
+    pageHeight: doc.height,
+    component: { selector, padding, width: clip.width, height: clip.height },
+  };
 }
 
 /**
  * Capture a screenshot of a single page at a given viewport.
  *
+ * In full-page mode the whole scroll height is captured, plus a set of
+ * overlapping viewport-sized tiles for VLM analysis (the model downsamples
+ * tall images to the point of being unreadable). With a selector only that
+ * element is captured and full-page mode is ignored.
+ *
  * @param {Object} options
  * @param {string} options.url - The URL to capture
- * @param {Object} options.viewport - { width, height }
- * @param {Object} [options.config] - App config
+ * @param {Object} options.viewport - { width, height, deviceScaleFactor?, isMobile?, hasTouch?, userAgent? }
+ * @param {Object} [options.config] - App config (`network` holds the manifest's allow/deny host lists)
  * @param {string} [options.storageState] - Path to Playwright storage state for auth
- * @param {string} [options.waitFor] - CSS selector to wait for before capture
- * @param {boolean} [options.allowPrivate] - Allow private/internal IPs
+ * @param {Object} [options.httpCredentials] - Basic auth: { username, password, origin?, send? }
+ * @param {Object} [options.extraHTTPHeaders] - Header name → value, sent with requests to the page origin
+ * @param {Array} [options.cookies] - Cookies to inject; without url/domain they apply to the page's origin
+ * @param {Object} [options.wait] - Overrides for DEFAULT_WAIT: { waitUntil, selector, predicate, settleDelay, timeout }
+ * @param {boolean} [options.allowPrivate] - Allow private/internal addresses (see network-policy.js)
  * @param {boolean} [options.headless] - Run browser in headless mode (default: true)
- * @returns {Promise<Buffer>} PNG screenshot buffer
+ * @param {boolean} [options.fullPage] - Capture the full scroll height and split it into tiles
+ * @param {string} [options.engine] - Browser engine: chromium, firefox or webkit (default: chromium)
+ * @param {Array} [options.actions] - Interactions to run after load, before the screenshot (see actions.js)
+ * @param {Object} [options.emulation] - { colorScheme?, reducedMotion?, forcedColors?, locale?, timezoneId? }
+ * @param {string[]} [options.mask] - Selectors painted over with a solid box (ads, timestamps, avatars)
+ * @param {string[]} [options.hide] - Selectors made invisible via injected CSS (layout space is kept)
+ * @param {boolean} [options.digest=false] - Also collect the structural DOM/accessibility digest (see digest.js)
+ * @param {string} [options.throttling] - Network/CPU throttling profile (see throttling.js)
+ * @param {number[]} [options.loadingShots] - Also screenshot the viewport at these ms after navigation starts
+ * @param {string} [options.selector] - Capture only the first visible element matching this CSS selector
+ * @param {number} [options.selectorPadding=0] - Pixels of surrounding page to include around the element
+ * @returns {Promise<{ buffer: Buffer, tiles: Array|null, pageHeight: number, runtime: Array, vitals: Object, component?: Object }>}
+ *   PNG screenshot buffer; tiles are `{ index, y, height, buffer }` in full-page mode;
+ *   component is `{ selector, padding, width, height }` when a selector was captured;
+ *   masking is `{ mask, hide, color }` when any regions were masked or hidden;
+ *   digest is the structural digest (or null) when requested; runtime lists console/page
+ *   errors, failed, blocked or 4xx/5xx requests seen until the screenshot (see runtime.js);
+ *   vitals holds LCP/CLS/FCP/TBT and page weight measured during load (see vitals.js);
+ *   loading lists the `{ at, elapsed, buffer }` frames taken while loading when loadingShots are set;
+ *   captureMs is the time from browser context to screenshot
  */
 export async function captureScreenshot({
   url: urlString,
   viewport,
   config = {},
   storageState,
-  waitFor,
+  httpCredentials,
+  extraHTTPHeaders,
+  cookies = [],
+  wait = {},
   allowPrivate = false,
   headless = true,
+  fullPage = false,
+  engine = 'chromium',
+  actions = [],
+  selector,
+  selectorPadding = 0,
+  emulation,
+  mask = [],
+  hide = [],
+  digest = false,
+  throttling,
+  loadingShots = [],
 }) {
   const url = validateUrl(urlString);
-  await checkSsrf(url, allowPrivate);
+  if (throttling) checkThrottlingEngine(throttling, engine);
+  const policy = createNetworkPolicy({ allowPrivate, ...config.network });
+  await assertUrlAllowed(url.href, policy);
 
-  let browser;
-  try {
-    browser = await chromium.launch({ headless });
-
-    const contextOptions = {
-      viewport: { width: viewport.width, height: viewport.height },
-      ignoreHTTPSErrors: config.ignoreHttpsErrors || false,
-    };
-    if (storageState) {
-      contextOptions.storageState = storageState;
-    }
+  const contextOptions = {
+    viewport: { width: viewport.width, height: viewport.height },
+    ignoreHTTPSErrors: config.ignoreHttpsErrors || false,
+  };
+  for (const field of ['deviceScaleFactor', 'hasTouch', 'userAgent']) {
+    if (viewport[field] !== undefined) contextOptions[field] = viewport[field];
+  }
+  // Firefox rejects isMobile; the rest of the device emulation still applies
+  if (viewport.isMobile !== undefined && engine !== 'firefox') {
+    contextOptions.isMobile = viewport.isMobile;
+  }
+  if (storageState) {
+    contextOptions.storageState = storageState;
+  }
+  Object.assign(contextOptions, authContextOptions({ httpCredentials }, url.href));
+  // Emulated user preferences (see emulation.js) map 1:1 onto context options
+  Object.assign(contextOptions, emulation);
 
-    const context = await browser.newContext(contextOptions);
-    const page = await context.newPage();
+  const captureStarted = Date.now();
+  try {
+    return await withContext({ engine, headless, contextOptions }, async (context) => {
+      // Every navigation, redirect and subrequest goes through the network policy,
+      // which throttles what it fetches itself
+      const network = throttling ? THROTTLING_PROFILES[throttling].network : undefined;
+      const blocked = await installNetworkPolicy(context, policy, { network });
+      await addAuthHeaders(context, extraHTTPHeaders, url.href);
+      await addAuthCookies(context, cookies, url.href);
+      const page = await context.newPage();
+      const runtime = watchRuntime(page, { blocked });
+      await watchVitals(page);
+      if (throttling) await applyThrottling(context, page, throttling);
 
-    try {
-      // Navigate with networkidle wait strategy
-      await page.goto(url.href, {
-        waitUntil: 'networkidle',
-        timeout: 30_000,
+      // Navigate with the configured wait strategy; loading screenshots start as soon as it commits
+      const { waitUntil, selector: readySelector, predicate, settleDelay, timeout } = { ...DEFAULT_WAIT, ...wait };
+      const startedAt = Date.now();
+      await page.goto(url.href, { waitUntil: loadingShots.length ? 'commit' : waitUntil, timeout }).catch((err) => {
+        const navigation = [...blocked].find(([request]) => request.isNavigationRequest() && request.frame() === page.mainFrame());
+        if (navigation) throw new ConfigError(`${url.href} is blocked by the network policy: ${navigation[1]}`);
+        throw err;
       });
+      const loading = loadingShots.length
+        ? await captureLoading(page, loadingShots, startedAt, waitUntil, timeout)
+        : undefined;
 
-      // Optional: wait for specific selector
-      if (waitFor) {
-        await page.waitForSelector(waitFor, { timeout: 10_000 });
+      // Optional: wait for a specific selector and/or a readiness predicate
+      if (readySelector) {
+        await page.waitForSelector(readySelector, { timeout }).catch(() => {
+          throw new CaptureError(`Wait selector "${readySelector}" did not appear within ${timeout}ms`);
+        });
+      }
+      if (predicate) {
+        await page.waitForFunction(predicate, null, { timeout }).catch((err) => {
+          throw new CaptureError(`Readiness predicate did not become true within ${timeout}ms: ${err.message}`);
+        });
       }
 
       // Wait for fonts to finish loading
       await page.evaluate(() => document.fonts.ready);
 
+      // Measure the load itself, before scripted interactions shift or repaint anything
+      const vitals = await collectVitals(page);
+      if (throttling) await applyAfterLoad(context, throttling);
+
+      // Bring the page into the requested UI state (open modal, filled form, ...)
+      await runActions(page, actions);
+
+      // Remove dynamic regions that would make the review noisy
+      if (hide.length) {
+        await page.addStyleTag({ content: `${hide.join(',\n')} { visibility: hidden !important; }` });
+      }
+
       // Stability delay for late CSS transitions
-      await new Promise(r => setTimeout(r, 500));
+      if (settleDelay) await new Promise(r => setTimeout(r, settleDelay));
 
-      // Viewport screenshot (not full page), animations disabled
-      const buffer = await page.screenshot({
+      const shotOptions = {
         type: 'png',
         animations: 'disabled',
+        ...(mask.length && { mask: mask.map(sel => page.locator(sel)), maskColor: MASK_COLOR }),
+      };
+      const masking = mask.length || hide.length ? { mask, hide, color: MASK_COLOR } : undefined;
+      const structure = digest ? await collectDigest(page, { selector }) : undefined;
+      const details = () => ({
+        masking, digest: structure, runtime: [...runtime], vitals, throttling, loading, captureMs: Date.now() - captureStarted,
       });
 
-      return buffer;
-    } finally {
-      await context.close();
-    }
+      if (selector) {
+        return { ...await captureComponent(page, selector, selectorPadding, shotOptions), ...details() };
+      }
+
+      // Viewport screenshot unless full-page mode, animations disabled
+      const buffer = await page.screenshot({
+        ...shotOptions,
+        fullPage,
+      });
+
+      if (!fullPage) {
+        return { buffer, tiles: null, pageHeight: viewport.height, ...details() };
+      }
+
+      const pageHeight = await page.evaluate(() => document.documentElement.scrollHeight);
+      const plan = planTiles(pageHeight, viewport.height, config.tileOverlap ?? 0, config.maxTiles ?? Infinity);
+
+      const tiles = [];
+      for (const tile of plan) {
+        const tileBuffer = await page.screenshot({
+          ...shotOptions,
+          fullPage: true,
+          clip: { x: 0, y: tile.y, width: viewport.width, height: tile.height },
+        });
+        tiles.push({ ...tile, buffer: tileBuffer });
+      }
+
+      return { buffer, tiles, pageHeight, ...details() };
+    });
   } catch (err) {
     if (err instanceof ConfigError) throw err;
 
     // Check for missing browser executable
     if (err.message?.includes("Executable doesn't exist") || err.message?.includes('browserType.launch')) {
       throw new CaptureError(
-        'Chromium browser not installed. Run: npx playwright install chromium'
+        `${engine} browser not installed. Run: npx playwright install ${engine}`
       );
     }
 
     throw new CaptureError(`Screenshot capture failed for ${url.href}: ${err.message}`);
-  } finally {
-    if (browser) {
-      await browser.close().catch(() => {});
-    }
   }
 }
@@ -1,6 +1,13 @@
 import { readFileSync, existsSync } from 'node:fs';
 import { resolve } from 'node:path';
+import { devices } from 'playwright';
 import { ConfigError } from './errors.js';
+import { validateActions, validateStates } from './actions.js';
+import { validateEmulationMatrix } from './emulation.js';
+import { DEFAULT_BUDGETS, validateBudgets } from './vitals.js';
+import { validateNetworkPolicy } from './network-policy.js';
+import { validateHttpAuth, redactAuth, REDACTED } from './http-auth.js';
+import { validateThrottling, validateLoadingShots, checkThrottlingEngine } from './throttling.js';
 
 /** Known viewport definitions */
 const VIEWPORTS = {
@@ -10,8 +17,50 @@ const VIEWPORTS = {
   mobile: { width: 375, height: 812 },
 };
 
+/** Device emulation fields a custom viewport may set (passed to browser.newContext) */
+const EMULATION_FIELDS = ['deviceScaleFactor', 'isMobile', 'hasTouch', 'userAgent'];
+
+/** Playwright browser engines a page can be rendered in */
+const ENGINES = ['chromium', 'firefox', 'webkit'];
+
+/** Human-readable engine names used in prompts and reports */
+const ENGINE_LABELS = {
+  chromium: 'Chromium (Chrome/Edge)',
+  firefox: 'Firefox',
+  webkit: 'WebKit (Safari)',
+};
+
+/** Playwright navigation wait conditions */
+const WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle', 'commit'];
+
+/** VLM server APIs (see provider.js) */
+const PROVIDER_NAMES = ['ollama', 'openai'];
+
+/** Most models an ensemble may run per screenshot (see ensemble.js) */
+const MAX_MODELS = 5;
+
+/** Fields of a `hosts` entry (see hosts.js) */
+const HOST_FIELDS = ['url', 'maxConcurrency', 'apiKey', 'cfClientId', 'cfClientSecret'];
+
+const MAX_HOST_CONCURRENCY = 20;
+
+/** Issue verification modes (see verify.js) */
+const VERIFY_MODES = ['off', 'mark', 'drop'];
+
+/** Image formats screenshots can be sent in, with their MIME types (see preprocess.js) */
+export const IMAGE_FORMATS = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+/** Padding modes: none, up to a multiple of the patch size, or to a square */
+const PAD_MODES = ['none', 'patch', 'square'];
+
+export const DEFAULT_PREPROCESS = { maxDimension: null, format: 'png', quality: 85, pad: 'none' };
+
+/** Browser contexts per pooled browser; the browser count follows from concurrency */
+const DEFAULT_CONTEXTS_PER_BROWSER = 4;
+
 /** Default configuration */
 const DEFAULTS = {
+  provider: 'ollama',
   ollamaUrl: 'http://localhost:11434',
   model: 'qwen3-vl:8b',
   timeout: 600_000,
@@ -20,7 +69,22 @@ const DEFAULTS = {
   temperature: 0.1,
   concurrency: 6,
   viewports: ['desktop', 'laptop', 'tablet', 'mobile'],
+  engines: ['chromium'],
   ignoreHttpsErrors: false,
+  fullPage: false,
+  tileOverlap: 120,
+  maxTiles: 8,
+  selectorPadding: 0,
+  mask: [],
+  hide: [],
+  digest: true,
+  structuredOutput: true,
+  cache: true,
+  verify: 'off',
+  preprocess: DEFAULT_PREPROCESS,
+  wait: {},
+  loadingShots: [],
+  network: { allowHosts: [], denyHosts: [] },
   debug: false,
 };
 
@@ -34,13 +98,19 @@ const DEFAULTS = {
  * @returns {Object} Frozen merged config
  */
 export function loadConfig({ cliArgs = {}, manifestPath, env = process.env } = {}) {
-  const config = { ...DEFAULTS };
+  const config = { ...DEFAULTS, viewportDefinitions: { ...VIEWPORTS }, budgets: { ...DEFAULT_BUDGETS } };
 
   // Layer 1: Environment variables
   if (env.OLLAMA_URL) config.ollamaUrl = env.OLLAMA_URL;
   if (env.OLLAMA_MODEL) config.model = env.OLLAMA_MODEL;
+  if (env.VLM_PROVIDER) config.provider = env.VLM_PROVIDER;
+  if (env.OPENAI_API_KEY) config.apiKey = env.OPENAI_API_KEY;
+  if (env.UI_REVIEW_CACHE_DIR) config.cacheDir = env.UI_REVIEW_CACHE_DIR;
   if (env.CF_ACCESS_CLIENT_ID) config.cfClientId = env.CF_ACCESS_CLIENT_ID;
   if (env.CF_ACCESS_CLIENT_SECRET) config.cfClientSecret = env.CF_ACCESS_CLIENT_SECRET;
+  if (env.BASIC_AUTH_USER) {
+    config.httpCredentials = { username: env.BASIC_AUTH_USER, password: env.BASIC_AUTH_PASSWORD || '' };
+  }
 
   // Layer 2: Manifest file
   const mPath = manifestPath || '.ui-review.json';
@@ -48,27 +118,106 @@ export function loadConfig({ cliArgs = {}, manifestPath, env = process.env } = {
     const manifest = loadManifest(mPath);
     if (manifest.baseUrl) config.baseUrl = manifest.baseUrl;
     if (manifest.authState) config.authState = manifest.authState;
+    if (manifest.customViewports) {
+      Object.assign(config.viewportDefinitions, resolveCustomViewports(manifest.customViewports));
+    }
     if (manifest.viewports) config.viewports = manifest.viewports;
+    if (manifest.engines) config.engines = manifest.engines;
+    if (manifest.emulation) config.emulation = manifest.emulation;
     if (manifest.pages) config.pages = manifest.pages;
+    if (manifest.provider) config.provider = manifest.provider;
+    if (manifest.hosts) config.hosts = manifest.hosts.map(host => ({ ...host }));
     if (manifest.model) config.model = manifest.model;
+    if (manifest.models) config.models = [...manifest.models];
+    if (manifest.fullPage !== undefined) config.fullPage = manifest.fullPage;
+    if (manifest.tileOverlap !== undefined) config.tileOverlap = manifest.tileOverlap;
+    if (manifest.maxTiles !== undefined) config.maxTiles = manifest.maxTiles;
+    if (manifest.selectorPadding !== undefined) config.selectorPadding = manifest.selectorPadding;
+    if (manifest.mask) config.mask = manifest.mask;
+    if (manifest.hide) config.hide = manifest.hide;
+    if (manifest.digest !== undefined) config.digest = manifest.digest;
+    if (manifest.structuredOutput !== undefined) config.structuredOutput = manifest.structuredOutput;
+    if (manifest.cache !== undefined) config.cache = manifest.cache;
+    if (manifest.cacheDir) config.cacheDir = manifest.cacheDir;
+    if (manifest.verify) config.verify = manifest.verify;
+    if (manifest.preprocess) config.preprocess = { ...DEFAULT_PREPROCESS, ...manifest.preprocess };
+    if (manifest.budgets) Object.assign(config.budgets, manifest.budgets);
+    if (manifest.wait) config.wait = { ...manifest.wait };
+    if (manifest.throttling) config.throttling = manifest.throttling;
+    if (manifest.loadingShots) config.loadingShots = manifest.loadingShots;
+    if (manifest.network) config.network = { ...DEFAULTS.network, ...manifest.network };
+    if (manifest.browserPool) config.browserPool = { ...manifest.browserPool };
+    if (manifest.httpCredentials) config.httpCredentials = { ...manifest.httpCredentials };
+    if (manifest.extraHTTPHeaders) config.extraHTTPHeaders = { ...manifest.extraHTTPHeaders };
+    if (manifest.cookies) config.cookies = [...manifest.cookies];
   }
 
   // Layer 3: CLI args (highest priority)
-  if (cliArgs.ollamaUrl !== undefined) config.ollamaUrl = cliArgs.ollamaUrl;
+  if (cliArgs.ollamaUrl !== undefined) {
+    // An explicit URL on the command line replaces the manifest's host pool
+    config.ollamaUrl = cliArgs.ollamaUrl;
+    delete config.hosts;
+  }
+  if (cliArgs.provider !== undefined) config.provider = cliArgs.provider;
   if (cliArgs.model !== undefined) config.model = cliArgs.model;
+  if (cliArgs.models !== undefined) config.models = cliArgs.models.split(',').map(m => m.trim()).filter(Boolean);
   if (cliArgs.timeout !== undefined) config.timeout = cliArgs.timeout;
   if (cliArgs.viewport !== undefined) config.viewports = cliArgs.viewport.split(',').map(v => v.trim());
+  if (cliArgs.engine !== undefined) config.engines = cliArgs.engine.split(',').map(e => e.trim());
   if (cliArgs.ignoreHttpsErrors !== undefined) config.ignoreHttpsErrors = cliArgs.ignoreHttpsErrors;
   if (cliArgs.debug !== undefined) config.debug = cliArgs.debug;
   if (cliArgs.format !== undefined) config.format = cliArgs.format;
   if (cliArgs.output !== undefined) config.output = cliArgs.output;
+  if (cliArgs.consensus !== undefined) config.consensus = cliArgs.consensus;
   if (cliArgs.dryRun !== undefined) config.dryRun = cliArgs.dryRun;
   if (cliArgs.concurrency !== undefined) config.concurrency = cliArgs.concurrency;
+  if (cliArgs.fullPage !== undefined) config.fullPage = cliArgs.fullPage;
+  if (cliArgs.maxTiles !== undefined) config.maxTiles = cliArgs.maxTiles;
+  if (cliArgs.selector !== undefined) config.selector = cliArgs.selector;
+  if (cliArgs.selectorPadding !== undefined) config.selectorPadding = cliArgs.selectorPadding;
+  // commander defaults --no-digest to true, so only an explicit opt-out overrides the manifest
+  if (cliArgs.digest === false) config.digest = false;
+  if (cliArgs.structuredOutput === false) config.structuredOutput = false;
+  if (cliArgs.cache === false) config.cache = false;
+  if (cliArgs.verify !== undefined) config.verify = cliArgs.verify;
+  if (cliArgs.maxDimension !== undefined) config.preprocess = { ...config.preprocess, maxDimension: cliArgs.maxDimension };
+  if (cliArgs.imageFormat !== undefined) config.preprocess = { ...config.preprocess, format: cliArgs.imageFormat };
+  const cliWait = {
+    waitUntil: cliArgs.waitUntil,
+    selector: cliArgs.waitFor,
+    predicate: cliArgs.waitForFunction,
+    settleDelay: cliArgs.settleDelay,
+    timeout: cliArgs.navTimeout,
+  };
+  for (const [key, value] of Object.entries(cliWait)) {
+    if (value !== undefined) config.wait = { ...config.wait, [key]: value };
+  }
+  if (cliArgs.throttling !== undefined) config.throttling = cliArgs.throttling;
+  if (cliArgs.loadingShots !== undefined) {
+    config.loadingShots = cliArgs.loadingShots.split(',').map(s => s.trim()).filter(Boolean).map(Number);
+  }
+  if (cliArgs.httpCredentials !== undefined) config.httpCredentials = parseCredentialsArg(cliArgs.httpCredentials);
+  if (cliArgs.header?.length) {
+    config.extraHTTPHeaders = { ...config.extraHTTPHeaders, ...Object.fromEntries(cliArgs.header.map(parseHeaderArg)) };
+  }
+  if (cliArgs.cookie?.length) {
+    config.cookies = [...(config.cookies || []), ...cliArgs.cookie.map(parseCookieArg)];
+  }
 
-  // Resolve viewport definitions
+  // Enough pooled browsers for `concurrency` captures at once, unless the manifest says otherwise
+  const maxContextsPerBrowser = config.browserPool?.maxContextsPerBrowser ?? DEFAULT_CONTEXTS_PER_BROWSER;
+  config.browserPool = {
+    maxBrowsers: Math.ceil(config.concurrency / maxContextsPerBrowser) || 1,
+    maxContextsPerBrowser,
+    idleTimeout: 60_000,
+    ...config.browserPool,
+  };
+
+  // Resolve viewport definitions (built-in + manifest customViewports)
+  const known = config.viewportDefinitions;
   config.resolvedViewports = config.viewports.map(name => {
-    const vp = VIEWPORTS[name];
-    if (!vp) throw new ConfigError(`Unknown viewport: ${name}. Known: ${Object.keys(VIEWPORTS).join(', ')}`);
+    const vp = known[name];
+    if (!vp) throw new ConfigError(`Unknown viewport: ${name}. Known: ${Object.keys(known).join(', ')}`);
     return { name, ...vp };
   });
 
@@ -78,6 +227,144 @@ export function loadConfig({ cliArgs = {}, manifestPath, env = process.env } = {
   return Object.freeze(config);
 }
 
+/**
+ * Copy of a config that is safe to print: credentials, header values,
+ * cookie values, API keys and CF Access secrets (top-level and per host)
+ * are replaced.
+ *
+ * @param {Object} config
+ * @returns {Object}
+ */
+export function redactConfig(config) {
+  const redacted = { ...config, ...redactAuth(config) };
+  if (config.cfClientSecret) redacted.cfClientSecret = REDACTED;
+  if (config.apiKey) redacted.apiKey = REDACTED;
+  if (config.hosts) redacted.hosts = redactHosts(config.hosts);
+  return redacted;
+}
+
+/**
+ * Copy of `hosts` with API keys and CF Access secrets replaced.
+ *
+ * @param {Array<Object>} hosts
+ * @returns {Array<Object>}
+ */
+function redactHosts(hosts) {
+  return hosts.map(host => ({
+    ...host,
+    ...(host.apiKey && { apiKey: REDACTED }),
+    ...(host.cfClientSecret && { cfClientSecret: REDACTED }),
+  }));
+}
+
+/**
+ * Parse --http-credentials "user:password".
+ * @param {string} value
+ * @returns {{ username: string, password: string }}
+ */
+function parseCredentialsArg(value) {
+  const sep = value.indexOf(':');
+  if (sep < 1) throw new ConfigError('--http-credentials must be "username:password"');
+  return { username: value.slice(0, sep), password: value.slice(sep + 1) };
+}
+
+/**
+ * Parse --header "Name: value".
+ * @param {string} value
+ * @returns {[string, string]}
+ */
+function parseHeaderArg(value) {
+  const sep = value.indexOf(':');
+  if (sep < 1) throw new ConfigError('--header must be "Name: value"');
+  return [value.slice(0, sep).trim(), value.slice(sep + 1).trim()];
+}
+
+/**
+ * Parse --cookie "name=value".
+ * @param {string} value
+ * @returns {{ name: string, value: string }}
+ */
+function parseCookieArg(value) {
+  const sep = value.indexOf('=');
+  if (sep < 1) throw new ConfigError('--cookie must be "name=value"');
+  return { name: value.slice(0, sep).trim(), value: value.slice(sep + 1) };
+}
+
+/**
+ * Turn manifest customViewports into viewport definitions.
+ *
+ * Each entry is either explicit dimensions plus optional emulation fields,
+ * or `{ "device": "iPhone 15" }` referencing a Playwright device descriptor
+ * (explicit fields override the descriptor's values).
+ *
+ * @param {Object} custom - Validated manifest.customViewports
+ * @returns {Object} Map of name → { width, height, deviceScaleFactor?, isMobile?, hasTouch?, userAgent?, device? }
+ */
+function resolveCustomViewports(custom) {
+  const resolved = {};
+  for (const [name, def] of Object.entries(custom)) {
+    const vp = {};
+    if (def.device) {
+      const descriptor = devices[def.device];
+      vp.width = descriptor.viewport.width;
+      vp.height = descriptor.viewport.height;
+      for (const field of EMULATION_FIELDS) vp[field] = descriptor[field];
+      vp.device = def.device;
+    }
+    if (def.width !== undefined) vp.width = def.width;
+    if (def.height !== undefined) vp.height = def.height;
+    for (const field of EMULATION_FIELDS) {
+      if (def[field] !== undefined) vp[field] = def[field];
+    }
+    resolved[name] = vp;
+  }
+  return resolved;
+}
+
+/**
+ * Validate manifest customViewports entries.
+ */
+function validateCustomViewports(custom) {
+  if (typeof custom !== 'object' || custom === null || Array.isArray(custom)) {
+    throw new ConfigError('customViewports must be an object keyed by viewport name');
+  }
+
+  for (const [name, def] of Object.entries(custom)) {
+    if (!/^[a-z0-9_-]+$/i.test(name)) {
+      throw new ConfigError(`Invalid viewport name "${name}": use only alphanumeric, hyphens, underscores`);
+    }
+    if (typeof def !== 'object' || def === null) {
+      throw new ConfigError(`Viewport "${name}" must be an object`);
+    }
+
+    if (def.device !== undefined) {
+      if (typeof def.device !== 'string' || !devices[def.device]) {
+        throw new ConfigError(`Viewport "${name}": unknown Playwright device "${def.device}"`);
+      }
+    } else if (def.width === undefined || def.height === undefined) {
+      throw new ConfigError(`Viewport "${name}" needs width and height, or a device name`);
+    }
+
+    for (const dim of ['width', 'height']) {
+      if (def[dim] !== undefined && (!Number.isInteger(def[dim]) || def[dim] < 100 || def[dim] > 7680)) {
+        throw new ConfigError(`Viewport "${name}": ${dim} must be an integer between 100 and 7680`);
+      }
+    }
+    if (def.deviceScaleFactor !== undefined &&
+        (typeof def.deviceScaleFactor !== 'number' || def.deviceScaleFactor < 0.5 || def.deviceScaleFactor > 4)) {
+      throw new ConfigError(`Viewport "${name}": deviceScaleFactor must be a number between 0.5 and 4`);
+    }
+    for (const flag of ['isMobile', 'hasTouch']) {
+      if (def[flag] !== undefined && typeof def[flag] !== 'boolean') {
+        throw new ConfigError(`Viewport "${name}": ${flag} must be a boolean`);
+      }
+    }
+    if (def.userAgent !== undefined && typeof def.userAgent !== 'string') {
+      throw new ConfigError(`Viewport "${name}": userAgent must be a string`);
+    }
+  }
+}
+
 /**
  * Load and validate a .ui-review.json manifest.
  */
@@ -145,20 +432,103 @@ function validateManifest(manifest) {
       if (!page.path.startsWith('/') || page.path.startsWith('//')) {
         throw new ConfigError(`Invalid page path "${page.path}": must start with / and not //`);
       }
+      if (page.fullPage !== undefined && typeof page.fullPage !== 'boolean') {
+        throw new ConfigError(`Page "${page.name}" fullPage must be a boolean`);
+      }
+      validatePageSelector(page, `Page "${page.name}"`);
+      validateMasking(page, `Page "${page.name}"`);
+      if (page.wait !== undefined) validateWait(page.wait, `Page "${page.name}" wait`);
+      if (page.actions !== undefined) validateActions(page.actions, `Page "${page.name}"`);
+      if (page.states !== undefined) validateStates(page.states, `Page "${page.name}"`);
     }
   }
 
+  if (manifest.fullPage !== undefined && typeof manifest.fullPage !== 'boolean') {
+    throw new ConfigError('fullPage must be a boolean');
+  }
+
+  if (manifest.digest !== undefined && typeof manifest.digest !== 'boolean') {
+    throw new ConfigError('digest must be a boolean');
+  }
+
+  if (manifest.structuredOutput !== undefined && typeof manifest.structuredOutput !== 'boolean') {
+    throw new ConfigError('structuredOutput must be a boolean');
+  }
+
+  if (manifest.cache !== undefined && typeof manifest.cache !== 'boolean') {
+    throw new ConfigError('cache must be a boolean');
+  }
+
+  if (manifest.cacheDir !== undefined && (typeof manifest.cacheDir !== 'string' || !manifest.cacheDir)) {
+    throw new ConfigError('cacheDir must be a non-empty path');
+  }
+
+  if (manifest.preprocess !== undefined) {
+    validatePreprocess(manifest.preprocess);
+  }
+
+  if (manifest.hosts !== undefined) {
+    validateHosts(manifest.hosts);
+  }
+
+  if (manifest.verify !== undefined) {
+    validateVerify(manifest.verify);
+  }
+
+  if (manifest.budgets !== undefined) {
+    validateBudgets(manifest.budgets);
+  }
+
+  if (manifest.wait !== undefined) {
+    validateWait(manifest.wait, 'wait');
+  }
+
+  if (manifest.network !== undefined) {
+    validateNetworkPolicy(manifest.network);
+  }
+
+  validateHttpAuth(manifest);
+
+  if (manifest.throttling !== undefined) {
+    validateThrottling(manifest.throttling);
+  }
+
+  if (manifest.loadingShots !== undefined) {
+    validateLoadingShots(manifest.loadingShots);
+  }
+
+  if (manifest.customViewports !== undefined) {
+    validateCustomViewports(manifest.customViewports);
+  }
+
   if (manifest.viewports) {
     if (!Array.isArray(manifest.viewports)) {
       throw new ConfigError('viewports must be an array');
     }
-    const known = Object.keys(VIEWPORTS);
+    const known = [...Object.keys(VIEWPORTS), ...Object.keys(manifest.customViewports || {})];
     for (const vp of manifest.viewports) {
       if (!known.includes(vp)) {
         throw new ConfigError(`Unknown viewport "${vp}". Known: ${known.join(', ')}`);
       }
     }
   }
+
+  validateMasking(manifest, 'Manifest');
+
+  if (manifest.emulation !== undefined) {
+    validateEmulationMatrix(manifest.emulation);
+  }
+
+  if (manifest.engines) {
+    if (!Array.isArray(manifest.engines)) {
+      throw new ConfigError('engines must be an array');
+    }
+    for (const engine of manifest.engines) {
+      if (!ENGINES.includes(engine)) {
+        throw new ConfigError(`Unknown engine "${engine}". Known: ${ENGINES.join(', ')}`);
+      }
+    }
+  }
 }
 
 /**
@@ -172,6 +542,20 @@ function validate(config) {
     throw new ConfigError(`Invalid OLLAMA_URL: ${config.ollamaUrl}`);
   }
 
+  validateProvider(config.provider);
+  if (config.models !== undefined) validateModels(config.models);
+  validatePreprocess(config.preprocess);
+  validateVerify(config.verify);
+
+  if (!config.engines.length) {
+    throw new ConfigError('At least one browser engine is required');
+  }
+  for (const engine of config.engines) {
+    if (!ENGINES.includes(engine)) {
+      throw new ConfigError(`Unknown engine: ${engine}. Known: ${ENGINES.join(', ')}`);
+    }
+  }
+
   if (config.timeout < 1000 || config.timeout > 600_000) {
     throw new ConfigError(`Timeout must be between 1000ms and 600000ms, got: ${config.timeout}`);
   }
@@ -179,6 +563,263 @@ function validate(config) {
   if (config.concurrency < 1 || config.concurrency > 20) {
     throw new ConfigError(`Concurrency must be between 1 and 20, got: ${config.concurrency}`);
   }
+
+  validateBrowserPool(config.browserPool);
+
+  if (!Number.isInteger(config.tileOverlap) || config.tileOverlap < 0 || config.tileOverlap > 500) {
+    throw new ConfigError(`tileOverlap must be an integer between 0 and 500 pixels, got: ${config.tileOverlap}`);
+  }
+
+  if (!Number.isInteger(config.maxTiles) || config.maxTiles < 1 || config.maxTiles > 50) {
+    throw new ConfigError(`maxTiles must be between 1 and 50, got: ${config.maxTiles}`);
+  }
+
+  if (config.selector !== undefined && (typeof config.selector !== 'string' || !config.selector.trim())) {
+    throw new ConfigError('selector must be a non-empty CSS selector');
+  }
+
+  if (!isValidPadding(config.selectorPadding)) {
+    throw new ConfigError(`selectorPadding must be an integer between 0 and 500 pixels, got: ${config.selectorPadding}`);
+  }
+
+  validateWait(config.wait, 'wait');
+  validateHttpAuth(config);
+  validateLoadingShots(config.loadingShots);
+  if (config.throttling !== undefined) {
+    validateThrottling(config.throttling);
+    for (const engine of config.engines) checkThrottlingEngine(config.throttling, engine);
+  }
+}
+
+/**
+ * Validate the browser pool limits (see configureBrowserPool()).
+ *
+ * @param {Object} pool - { maxBrowsers, maxContextsPerBrowser, idleTimeout }
+ * @throws {ConfigError}
+ */
+function validateBrowserPool(pool) {
+  const known = ['maxBrowsers', 'maxContextsPerBrowser', 'idleTimeout'];
+  for (const key of Object.keys(pool)) {
+    if (!known.includes(key)) {
+      throw new ConfigError(`Unknown browserPool option: ${key}. Known: ${known.join(', ')}`);
+    }
+  }
+  const limits = { maxBrowsers: [1, 10], maxContextsPerBrowser: [1, 20], idleTimeout: [1000, 3_600_000] };
+  for (const [key, [min, max]] of Object.entries(limits)) {
+    const value = pool[key];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new ConfigError(`browserPool.${key} must be an integer between ${min} and ${max}, got: ${value}`);
+    }
+  }
+}
+
+/**
+ * Validate a provider name.
+ *
+ * @param {string} name
+ * @throws {ConfigError}
+ */
+export function validateProvider(name) {
+  if (!PROVIDER_NAMES.includes(name)) {
+    throw new ConfigError(`Unknown provider "${name}". Known: ${PROVIDER_NAMES.join(', ')}`);
+  }
+}
+
+
+/**
+ * Validate a models list from the manifest or CLI.
+ *
+ * @param {string[]} models
+ * @throws {ConfigError}
+ */
+function validateModels(models) {
+  if (!Array.isArray(models) || !models.length) {
+    throw new ConfigError('models must be a non-empty array of model names');
+  }
+  if (models.length > MAX_MODELS) {
+    throw new ConfigError(`models: at most ${MAX_MODELS} models per review`);
+  }
+  for (const model of models) {
+    if (typeof model !== 'string' || !model.trim()) {
+      throw new ConfigError('models must be a non-empty array of model names');
+    }
+  }
+  if (new Set(models).size !== models.length) {
+    throw new ConfigError('models must not list a model twice');
+  }
+}
+
+
+/**
+ * Validate a verify mode.
+ *
+ * @param {string} mode
+ * @throws {ConfigError}
+ */
+function validateVerify(mode) {
+  if (!VERIFY_MODES.includes(mode)) {
+    throw new ConfigError(`Unknown verify mode "${mode}". Known: ${VERIFY_MODES.join(', ')}`);
+  }
+}
+
+
+/**
+ * Validate preprocessing options from the manifest or CLI.
+ *
+ * @param {Object} options - { maxDimension?, format?, quality?, pad? }
+ * @param {string} [label='preprocess'] - Used in error messages
+ * @throws {ConfigError}
+ */
+function validatePreprocess(options, label = 'preprocess') {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new ConfigError(`${label} must be an object`);
+  }
+  for (const key of Object.keys(options)) {
+    if (!Object.hasOwn(DEFAULT_PREPROCESS, key)) {
+      throw new ConfigError(`${label}: unknown option "${key}". Known: ${Object.keys(DEFAULT_PREPROCESS).join(', ')}`);
+    }
+  }
+  const { maxDimension, format, quality, pad } = options;
+  if (maxDimension !== undefined && maxDimension !== null &&
+      (!Number.isInteger(maxDimension) || maxDimension < 224 || maxDimension > 8192)) {
+    throw new ConfigError(`${label}: maxDimension must be an integer between 224 and 8192, or null`);
+  }
+  if (format !== undefined && !Object.hasOwn(IMAGE_FORMATS, format)) {
+    throw new ConfigError(`${label}: unknown format "${format}". Known: ${Object.keys(IMAGE_FORMATS).join(', ')}`);
+  }
+  if (quality !== undefined && (!Number.isInteger(quality) || quality < 1 || quality > 100)) {
+    throw new ConfigError(`${label}: quality must be an integer between 1 and 100`);
+  }
+  if (pad !== undefined && !PAD_MODES.includes(pad)) {
+    throw new ConfigError(`${label}: unknown pad mode "${pad}". Known: ${PAD_MODES.join(', ')}`);
+  }
+}
+
+
+/**
+ * Validate the manifest's `hosts` list.
+ *
+ * @param {Array<Object>} hosts - [{ url, maxConcurrency?, apiKey?, cfClientId?, cfClientSecret? }]
+ * @throws {ConfigError}
+ */
+function validateHosts(hosts) {
+  if (!Array.isArray(hosts) || !hosts.length) {
+    throw new ConfigError('hosts must be a non-empty array');
+  }
+  const seen = new Set();
+  hosts.forEach((host, i) => {
+    const label = `hosts[${i}]`;
+    if (typeof host !== 'object' || host === null || Array.isArray(host)) {
+      throw new ConfigError(`${label} must be an object`);
+    }
+    for (const key of Object.keys(host)) {
+      if (!HOST_FIELDS.includes(key)) {
+        throw new ConfigError(`${label}: unknown field "${key}". Known: ${HOST_FIELDS.join(', ')}`);
+      }
+    }
+    let url;
+    try {
+      url = new URL(host.url);
+    } catch {
+      throw new ConfigError(`${label}.url must be a valid URL, got: ${host.url}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new ConfigError(`${label}.url must use http or https, got: ${host.url}`);
+    }
+    if (seen.has(host.url)) {
+      throw new ConfigError(`${label}: duplicate url ${host.url}`);
+    }
+    seen.add(host.url);
+    if (host.maxConcurrency !== undefined &&
+        (!Number.isInteger(host.maxConcurrency) || host.maxConcurrency < 1 || host.maxConcurrency > MAX_HOST_CONCURRENCY)) {
+      throw new ConfigError(`${label}.maxConcurrency must be an integer between 1 and ${MAX_HOST_CONCURRENCY}`);
+    }
+    for (const key of ['apiKey', 'cfClientId', 'cfClientSecret']) {
+      if (host[key] !== undefined && (typeof host[key] !== 'string' || !host[key])) {
+        throw new ConfigError(`${label}.${key} must be a non-empty string`);
+      }
+    }
+  });
+}
+
+
+/**
+ * Validate wait strategy overrides (manifest, page, CLI or API).
+ *
+ * @param {Object} wait - { waitUntil?, selector?, predicate?, settleDelay?, timeout? }
+ * @param {string} label - Used in error messages (e.g. 'Page "checkout" wait')
+ * @throws {ConfigError}
+ */
+export function validateWait(wait, label) {
+  if (!wait || typeof wait !== 'object' || Array.isArray(wait)) {
+    throw new ConfigError(`${label} must be an object`);
+  }
+  const known = ['waitUntil', 'selector', 'predicate', 'settleDelay', 'timeout'];
+  for (const key of Object.keys(wait)) {
+    if (!known.includes(key)) {
+      throw new ConfigError(`${label}: unknown field "${key}". Known: ${known.join(', ')}`);
+    }
+  }
+  if (wait.waitUntil !== undefined && !WAIT_UNTIL.includes(wait.waitUntil)) {
+    throw new ConfigError(`${label}.waitUntil must be one of ${WAIT_UNTIL.join(', ')}, got: ${wait.waitUntil}`);
+  }
+  for (const key of ['selector', 'predicate']) {
+    if (wait[key] !== undefined && wait[key] !== null && (typeof wait[key] !== 'string' || !wait[key].trim())) {
+      throw new ConfigError(`${label}.${key} must be a non-empty string`);
+    }
+  }
+  if (wait.settleDelay !== undefined && (!Number.isInteger(wait.settleDelay) || wait.settleDelay < 0 || wait.settleDelay > 30_000)) {
+    throw new ConfigError(`${label}.settleDelay must be an integer between 0 and 30000ms, got: ${wait.settleDelay}`);
+  }
+  if (wait.timeout !== undefined && (!Number.isInteger(wait.timeout) || wait.timeout < 1000 || wait.timeout > 120_000)) {
+    throw new ConfigError(`${label}.timeout must be an integer between 1000 and 120000ms, got: ${wait.timeout}`);
+  }
+}
+
+/**
+ * Check a padding (in CSS pixels) added around a component screenshot.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidPadding(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 500;
+}
+
+/**
+ * Validate the component-scoping fields of a manifest or API page.
+ *
+ * @param {Object} page - { selector?, selectorPadding? }
+ * @param {string} label - Used in error messages (e.g. 'Page "checkout"')
+ * @throws {ConfigError}
+ */
+export function validatePageSelector(page, label) {
+  if (page.selector !== undefined && (typeof page.selector !== 'string' || !page.selector.trim())) {
+    throw new ConfigError(`${label} selector must be a non-empty CSS selector string`);
+  }
+  if (page.selectorPadding !== undefined && !isValidPadding(page.selectorPadding)) {
+    throw new ConfigError(`${label} selectorPadding must be an integer between 0 and 500 pixels`);
+  }
+}
+
+/**
+ * Validate the `mask` and `hide` selector lists of the manifest or a page.
+ *
+ * @param {Object} target - { mask?, hide? }
+ * @param {string} label - Used in error messages (e.g. 'Page "checkout"')
+ * @throws {ConfigError}
+ */
+export function validateMasking(target, label) {
+  for (const field of ['mask', 'hide']) {
+    const list = target[field];
+    if (list === undefined) continue;
+    if (!Array.isArray(list) || list.some(sel => typeof sel !== 'string' || !sel.trim())) {
+      throw new ConfigError(`${label} ${field} must be an array of CSS selector strings`);
+    }
+    // hide selectors end up in an injected stylesheet
+    if (field === 'hide' && list.some(sel => /[{}]/.test(sel))) {
+      throw new ConfigError(`${label} hide selectors must not contain braces`);
+    }
+  }
 }
 
-export { VIEWPORTS };
+export { VIEWPORTS, ENGINES, ENGINE_LABELS };
@@ -0,0 +1,190 @@
+/**
+ * Structural digest of a captured page.
+ *
+ * The VLM only sees pixels, so it guesses element names and misses
+ * semantics. The digest lists headings, landmarks, form fields and images
+ * with real selectors, plus Playwright's ARIA snapshot, and is passed to the
+ * model as context next to the screenshot.
+ */
+
+/** Caps that keep the digest small enough for the prompt */
+const LIMITS = {
+  headings: 40,
+  landmarks: 20,
+  fields: 40,
+  images: 40,
+  text: 80,
+  ariaSnapshot: 4000,
+};
+
+/**
+ * Collect the digest inside the page. Runs in the browser, so it must be
+ * self-contained.
+ *
+ * @param {{ rootSelector: string|null, limits: Object }} args
+ * @returns {Object}
+ */
+function collectInPage({ rootSelector, limits }) {
+  const root = rootSelector ? document.querySelector(rootSelector) : document.body;
+  if (!root) return null;
+
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim().slice(0, limits.text);
+
+  // Short selector: nearest id, then tag.class:nth-of-type steps (max 3)
+  const selectorFor = el => {
+    const steps = [];
+    for (let node = el; node && node.nodeType === 1 && steps.length < 3; node = node.parentElement) {
+      if (node.id && /^[a-z][\w-]*$/i.test(node.id)) {
+        steps.unshift(`#${node.id}`);
+        break;
+      }
+      let step = node.tagName.toLowerCase();
+      const cls = [...node.classList].find(c => /^[a-z][\w-]*$/i.test(c));
+      if (cls) step += `.${cls}`;
+      const siblings = node.parentElement ? [...node.parentElement.children].filter(s => s.tagName === node.tagName) : [];
+      if (siblings.length > 1) step += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      steps.unshift(step);
+    }
+    return steps.join(' > ');
+  };
+
+  const visible = el => {
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+
+  const y = el => Math.round(el.getBoundingClientRect().top + window.scrollY);
+
+  const labelFor = el => {
+    if (el.getAttribute('aria-label')) return clean(el.getAttribute('aria-label'));
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent).join(' ');
+      if (clean(text)) return clean(text);
+    }
+    if (el.labels?.length) return clean(el.labels[0].textContent);
+    return '';
+  };
+
+  const headings = [...root.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]')]
+    .filter(visible)
+    .slice(0, limits.headings)
+    .map(el => ({
+      level: Number(el.getAttribute('aria-level')) || Number(el.tagName[1]) || 2,
+      text: clean(el.textContent),
+      selector: selectorFor(el),
+      y: y(el),
+    }));
+
+  const landmarkSelector = 'header, nav, main, aside, footer, form[aria-label], section[aria-label], '
+    + '[role="banner"], [role="navigation"], [role="main"], [role="complementary"], [role="contentinfo"], [role="search"], [role="region"]';
+  const landmarks = [...root.querySelectorAll(landmarkSelector)]
+    .filter(visible)
+    .slice(0, limits.landmarks)
+    .map(el => ({
+      role: el.getAttribute('role') || el.tagName.toLowerCase(),
+      label: labelFor(el),
+      selector: selectorFor(el),
+      y: y(el),
+    }));
+
+  const fields = [...root.querySelectorAll('input:not([type="hidden"]), select, textarea')]
+    .filter(visible)
+    .slice(0, limits.fields)
+    .map(el => ({
+      type: el.tagName === 'INPUT' ? (el.getAttribute('type') || 'text') : el.tagName.toLowerCase(),
+      label: labelFor(el),
+      placeholder: clean(el.getAttribute('placeholder')),
+      selector: selectorFor(el),
+    }));
+
+  const allImages = [...root.querySelectorAll('img, svg[role="img"], [role="img"]')].filter(visible);
+  const images = allImages.slice(0, limits.images).map(el => ({
+    alt: el.hasAttribute('alt') ? clean(el.getAttribute('alt')) : (el.getAttribute('aria-label') ? clean(el.getAttribute('aria-label')) : null),
+    selector: selectorFor(el),
+  }));
+
+  return {
+    title: clean(document.title),
+    lang: document.documentElement.lang || '',
+    headings,
+    landmarks,
+    fields,
+    images,
+    imageCount: allImages.length,
+  };
+}
+
+/**
+ * Collect the structural digest of a page (or of one component).
+ *
+ * Never throws: a page that blocks evaluation simply has no digest.
+ *
+ * @param {import('playwright').Page} page
+ * @param {Object} [options]
+ * @param {string} [options.selector] - Limit the digest to this element
+ * @returns {Promise<Object|null>} { title, lang, headings, landmarks, fields, images, imageCount, ariaSnapshot }
+ */
+export async function collectDigest(page, { selector } = {}) {
+  try {
+    const digest = await page.evaluate(collectInPage, { rootSelector: selector || null, limits: LIMITS });
+    if (!digest) return null;
+
+    const root = selector ? page.locator(selector).first() : page.locator('body');
+    const aria = await root.ariaSnapshot({ timeout: 5_000 }).catch(() => '');
+    digest.ariaSnapshot = aria.length > LIMITS.ariaSnapshot
+      ? `${aria.slice(0, LIMITS.ariaSnapshot)}\n… (truncated)`
+      : aria;
+
+    return digest;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Render a digest as compact text for the review prompt.
+ *
+ * @param {Object|null} digest - From collectDigest()
+ * @returns {string}
+ */
+export function formatDigest(digest) {
+  if (!digest) return 'not available';
+
+  const lines = [];
+  lines.push(`Title: ${digest.title || '(none)'}${digest.lang ? ` [lang=${digest.lang}]` : ' [no lang attribute]'}`);
+
+  lines.push('Headings:');
+  if (!digest.headings.length) lines.push('  (none)');
+  for (const h of digest.headings) {
+    lines.push(`  ${'  '.repeat(Math.max(0, h.level - 1))}h${h.level} "${h.text}" — ${h.selector} (y=${h.y})`);
+  }
+
+  lines.push('Landmarks:');
+  if (!digest.landmarks.length) lines.push('  (none)');
+  for (const l of digest.landmarks) {
+    lines.push(`  ${l.role}${l.label ? ` "${l.label}"` : ''} — ${l.selector} (y=${l.y})`);
+  }
+
+  if (digest.fields.length) {
+    lines.push('Form fields:');
+    for (const f of digest.fields) {
+      const label = f.label ? `label "${f.label}"` : `NO LABEL${f.placeholder ? ` (placeholder "${f.placeholder}")` : ''}`;
+      lines.push(`  ${f.type} ${label} — ${f.selector}`);
+    }
+  }
+
+  if (digest.imageCount) {
+    const missing = digest.images.filter(img => img.alt === null);
+    lines.push(`Images: ${digest.imageCount}, ${missing.length} without alt text${missing.length ? ':' : ''}`);
+    for (const img of missing) lines.push(`  ${img.selector}`);
+  }
+
+  if (digest.ariaSnapshot) {
+    lines.push('Accessibility tree:');
+    lines.push(digest.ariaSnapshot);
+  }
+
+  return lines.join('\n');
+}
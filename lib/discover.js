@@ -1,11 +1,7 @@
-import { chromium } from 'playwright';
-import { lookup } from 'node:dns/promises';
 import { ConfigError, CaptureError } from './errors.js';
-
-const PRIVATE_IP_PATTERNS = [
-  /^127\./, /^10\./, /^172\.(1[6-9]|2\d|3[01])\./, /^192\.168\./,
-  /^169\.254\./, /^0\./, /^::1$/, /^fc00:/i, /^fe80:/i,
-];
+import { withContext } from './browser-pool.js';
+import { createNetworkPolicy, assertUrlAllowed, installNetworkPolicy, policyFetch } from './network-policy.js';
+import { authContextOptions, addAuthCookies, addAuthHeaders, authHeaders } from './http-auth.js';
 
 /** File extensions to skip during crawling (not navigable pages). */
 const SKIP_EXTENSIONS = new Set([
@@ -42,16 +38,19 @@ function pageNameFromPath(path) {
 
 /**
  * Try fetching and parsing sitemap.xml from the target site.
+ * Redirects are only followed to hosts the network policy allows.
  * Returns array of paths or null if no sitemap found.
  */
-async function trySitemap(baseUrl, onProgress) {
+async function trySitemap(baseUrl, policy, auth, onProgress) {
   const sitemapUrl = baseUrl.replace(/\/$/, '') + '/sitemap.xml';
   onProgress?.(`Trying ${sitemapUrl}...`);
 
   try {
-    const res = await fetch(sitemapUrl, {
+    const res = await policyFetch(sitemapUrl, policy, {
       signal: AbortSignal.timeout(10000),
       headers: { 'User-Agent': 'ui-review/1.0' },
+      // Redirects to another host don't get the credentials
+      originHeaders: authHeaders(auth, sitemapUrl),
     });
 
     if (!res.ok) return null;
@@ -174,14 +173,18 @@ async function extractLinks(page) {
 /**
  * Crawl a site using Playwright with deep link extraction.
  * Uses BFS following links, onclick handlers, and URL patterns in page source.
+ * Pages that fail to load are recorded with their error; a browser that
+ * crashes twice in a row fails the crawl.
  *
  * @param {Object} options
  * @param {string} options.baseUrl - Site root URL
  * @param {number} options.maxPages - Maximum pages to visit
  * @param {Function} options.onPage - Callback for each discovered page
  * @param {Function} options.onProgress - Callback for progress messages
- * @param {boolean} options.allowPrivate - Allow private IPs
+ * @param {Object} options.policy - Network policy (see network-policy.js)
  * @param {Object} options.storageState - Playwright auth state
+ * @param {Object} options.auth - { httpCredentials, extraHTTPHeaders, cookies } (see http-auth.js)
+ * @param {string} options.engine - Browser engine to crawl with
  * @param {AbortSignal} options.signal - Cancellation signal
  * @returns {Promise<{pages: Array, totalLinksFound: number, pagesSkipped: number}>}
  */
@@ -190,8 +193,10 @@ async function crawlLinks({
   maxPages,
   onPage,
   onProgress,
-  allowPrivate = false,
+  policy,
   storageState,
+  auth,
+  engine = 'chromium',
   signal,
 }) {
   const baseOrigin = new URL(baseUrl).origin;
@@ -201,13 +206,10 @@ async function crawlLinks({
   let totalLinksFound = 0;
   let pagesSkipped = 0;
 
-  let browser;
-  try {
-    browser = await chromium.launch({ headless: true });
-    const contextOptions = { ignoreHTTPSErrors: true };
-    if (storageState) contextOptions.storageState = storageState;
-    const context = await browser.newContext(contextOptions);
+  const contextOptions = { ignoreHTTPSErrors: true, ...authContextOptions(auth, baseUrl) };
+  if (storageState) contextOptions.storageState = storageState;
 
+  try {
     while (queue.length > 0 && pages.length < maxPages) {
       if (signal?.aborted) break;
 
@@ -218,77 +220,67 @@ async function crawlLinks({
       const fullUrl = baseOrigin + path;
       onProgress?.(`Crawling ${path} (depth ${depth}, ${pages.length}/${maxPages} found)...`);
 
-      try {
-        const page = await context.newPage();
+      // A context per page, so a browser crash is retried by withContext()
+      // instead of failing every page after it
+      const { status, links, error } = await withContext({ engine, contextOptions }, async (context) => {
         try {
+          await installNetworkPolicy(context, policy);
+          await addAuthHeaders(context, auth.extraHTTPHeaders, baseUrl);
+          await addAuthCookies(context, auth.cookies, baseUrl);
+
+          const page = await context.newPage();
           const response = await page.goto(fullUrl, {
             waitUntil: 'networkidle',
             timeout: 20000,
           });
 
-          const status = response?.status() || 0;
-
           // Deep link extraction (handles SPAs, JS nav, hidden menus)
-          const links = await extractLinks(page);
-
-          const newPaths = [];
-          for (const link of links) {
-            const normalized = normalizePath(link, baseOrigin);
-            if (normalized && !visited.has(normalized)) {
-              newPaths.push(normalized);
-              totalLinksFound++;
-            }
-          }
-
-          const uniqueNewPaths = [...new Set(newPaths)];
-          for (const p of uniqueNewPaths) {
-            if (!visited.has(p)) {
-              queue.push({ path: p, depth: depth + 1 });
-            }
-          }
-
-          const pageInfo = {
-            name: pageNameFromPath(path),
-            path,
-            depth,
-            status,
-            links: uniqueNewPaths.length,
-          };
-          pages.push(pageInfo);
-          onPage?.(pageInfo);
-
-        } finally {
-          await page.close();
+          return { status: response?.status() || 0, links: await extractLinks(page) };
+        } catch (err) {
+          // The browser went away: not this page's fault
+          if (!context.browser()?.isConnected()) throw err;
+          return { status: 0, links: [], error: err.message };
         }
+      });
+
+      const newPaths = [];
+      for (const link of links) {
+        const normalized = normalizePath(link, baseOrigin);
+        if (normalized && !visited.has(normalized)) {
+          newPaths.push(normalized);
+          totalLinksFound++;
+        }
+      }
 
-        // Rate limit: 200ms between page loads
-        await new Promise(r => setTimeout(r, 200));
-
-      } catch (err) {
-        // Page load failed — still record it with error status
-        const pageInfo = {
-          name: pageNameFromPath(path),
-          path,
-          depth,
-          status: 0,
-          links: 0,
-          error: err.message,
-        };
-        pages.push(pageInfo);
-        onPage?.(pageInfo);
+      const uniqueNewPaths = [...new Set(newPaths)];
+      for (const p of uniqueNewPaths) {
+        if (!visited.has(p)) {
+          queue.push({ path: p, depth: depth + 1 });
+        }
       }
+
+      const pageInfo = {
+        name: pageNameFromPath(path),
+        path,
+        depth,
+        status,
+        links: uniqueNewPaths.length,
+      };
+      // Page load failed — still record it with error status
+      if (error) pageInfo.error = error;
+      pages.push(pageInfo);
+      onPage?.(pageInfo);
+
+      // Rate limit: 200ms between page loads
+      if (!error) await new Promise(r => setTimeout(r, 200));
     }
 
     pagesSkipped = queue.length;
-
-    await context.close();
   } catch (err) {
     if (err.message?.includes("Executable doesn't exist")) {
-      throw new CaptureError('Chromium browser not installed. Run: npx playwright install chromium');
+      throw new CaptureError(`${engine} browser not installed. Run: npx playwright install ${engine}`);
     }
     throw err;
-  } finally {
-    if (browser) await browser.close().catch(() => {});
   }
 
   return { pages, totalLinksFound, pagesSkipped };
@@ -303,7 +295,12 @@ async function crawlLinks({
  * @param {Function} [options.onPage] - Callback for each discovered page
  * @param {Function} [options.onProgress] - Callback for progress messages
  * @param {boolean} [options.allowPrivate=false] - Allow private IPs
+ * @param {Object} [options.network] - Manifest allow/deny host lists: { allowHosts, denyHosts }
  * @param {Object} [options.storageState] - Playwright auth state
+ * @param {Object} [options.httpCredentials] - Basic auth: { username, password, origin?, send? }
+ * @param {Object} [options.extraHTTPHeaders] - Header name → value, sent with requests to the site origin
+ * @param {Array} [options.cookies] - Cookies to inject (see http-auth.js)
+ * @param {string} [options.engine='chromium'] - Browser engine to crawl with
  * @param {AbortSignal} [options.signal] - Cancellation signal
  * @returns {Promise<{pages: Array, source: string, totalLinksFound: number, pagesSkipped: number}>}
  */
@@ -313,7 +310,12 @@ export async function discoverPages({
   onPage,
   onProgress,
   allowPrivate = false,
+  network,
   storageState,
+  httpCredentials,
+  extraHTTPHeaders,
+  cookies = [],
+  engine = 'chromium',
   signal,
 }) {
   // Validate URL
@@ -327,22 +329,13 @@ export async function discoverPages({
     throw new ConfigError(`Unsupported protocol: ${url.protocol}`);
   }
 
-  // SSRF check
-  if (!allowPrivate) {
-    try {
-      const { address } = await lookup(url.hostname);
-      if (PRIVATE_IP_PATTERNS.some(re => re.test(address))) {
-        throw new ConfigError(
-          `URL resolves to private IP (${address}). Enable "Allow private IPs" to override.`
-        );
-      }
-    } catch (err) {
-      if (err instanceof ConfigError) throw err;
-    }
-  }
+  // SSRF check; the sitemap fetch and the crawl enforce the same policy on every request
+  const policy = createNetworkPolicy({ allowPrivate, ...network });
+  await assertUrlAllowed(url.href, policy);
 
   // 1. Try sitemap
-  const sitemapPaths = await trySitemap(baseUrl, onProgress);
+  const auth = { httpCredentials, extraHTTPHeaders, cookies };
+  const sitemapPaths = await trySitemap(baseUrl, policy, auth, onProgress);
 
   if (sitemapPaths && sitemapPaths.length > 0) {
     const pages = sitemapPaths.slice(0, maxPages).map((path, i) => {
@@ -367,8 +360,10 @@ export async function discoverPages({
     maxPages,
     onPage,
     onProgress,
-    allowPrivate,
+    policy,
     storageState,
+    auth,
+    engine,
     signal,
   });
 
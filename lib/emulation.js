@@ -0,0 +1,139 @@
+import { ConfigError } from './errors.js';
+
+/**
+ * Emulation matrix: user preferences a page is rendered with.
+ *
+ * A matrix lists the values to review for each setting, e.g.
+ * `{ colorScheme: ['light', 'dark'], locale: ['en-US', 'de-DE'] }`, and
+ * expands to one profile per combination. Each profile is reviewed
+ * separately and stored under its own result key.
+ */
+
+/** Settings a matrix can vary and their allowed values (null = free-form, checked separately) */
+const MATRIX_FIELDS = {
+  colorScheme: ['light', 'dark', 'no-preference'],
+  reducedMotion: ['reduce', 'no-preference'],
+  forcedColors: ['active', 'none'],
+  locale: null,
+  timezoneId: null,
+};
+
+/** Upper bound on profiles per run; every profile multiplies the number of VLM calls */
+const MAX_PROFILES = 32;
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/**
+ * Check that an IANA timezone is known to the runtime.
+ * @param {string} timezoneId
+ * @returns {boolean}
+ */
+function isValidTimezone(timezoneId) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezoneId });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate an emulation matrix from the manifest or an API request body.
+ *
+ * @param {Object} matrix - { colorScheme?: string[], reducedMotion?: string[], ... }
+ * @param {string} [label='emulation'] - Used in error messages
+ * @throws {ConfigError}
+ */
+export function validateEmulationMatrix(matrix, label = 'emulation') {
+  if (!matrix || typeof matrix !== 'object' || Array.isArray(matrix)) {
+    throw new ConfigError(`${label} must be an object of setting → list of values`);
+  }
+
+  let profiles = 1;
+  for (const [field, values] of Object.entries(matrix)) {
+    if (!(field in MATRIX_FIELDS)) {
+      throw new ConfigError(`${label}: unknown setting "${field}". Known: ${Object.keys(MATRIX_FIELDS).join(', ')}`);
+    }
+    if (!Array.isArray(values) || !values.length) {
+      throw new ConfigError(`${label}.${field} must be a non-empty array`);
+    }
+    if (new Set(values).size !== values.length) {
+      throw new ConfigError(`${label}.${field} contains duplicate values`);
+    }
+
+    for (const value of values) {
+      const allowed = MATRIX_FIELDS[field];
+      if (allowed && !allowed.includes(value)) {
+        throw new ConfigError(`${label}.${field}: invalid value "${value}". Allowed: ${allowed.join(', ')}`);
+      }
+      if (field === 'locale' && (typeof value !== 'string' || !LOCALE_PATTERN.test(value))) {
+        throw new ConfigError(`${label}.locale: invalid locale "${value}" (expected e.g. en-US, de-DE)`);
+      }
+      if (field === 'timezoneId' && (typeof value !== 'string' || !isValidTimezone(value))) {
+        throw new ConfigError(`${label}.timezoneId: unknown timezone "${value}" (expected e.g. Europe/Berlin)`);
+      }
+    }
+    profiles *= values.length;
+  }
+
+  if (profiles > MAX_PROFILES) {
+    throw new ConfigError(`${label} expands to ${profiles} combinations (max ${MAX_PROFILES})`);
+  }
+}
+
+/**
+ * Stable name of a profile, used in result keys and filenames.
+ *
+ * @param {Object} settings - e.g. { colorScheme: 'dark', locale: 'de-DE' }
+ * @returns {string} e.g. "colorScheme=dark,locale=de-DE"
+ */
+export function emulationName(settings) {
+  return Object.keys(MATRIX_FIELDS)
+    .filter(field => settings[field] !== undefined)
+    .map(field => `${field}=${settings[field]}`)
+    .join(',');
+}
+
+/**
+ * Expand a validated matrix into one profile per combination.
+ *
+ * @param {Object} [matrix={}]
+ * @returns {Array<{ name: string, settings: Object }|null>} `[null]` when nothing is emulated
+ */
+export function expandEmulationMatrix(matrix = {}) {
+  let combos = [{}];
+  for (const field of Object.keys(MATRIX_FIELDS)) {
+    const values = matrix[field];
+    if (!values?.length) continue;
+    combos = combos.flatMap(combo => values.map(value => ({ ...combo, [field]: value })));
+  }
+
+  if (combos.length === 1 && !Object.keys(combos[0]).length) return [null];
+  return combos.map(settings => ({ name: emulationName(settings), settings }));
+}
+
+/**
+ * Describe a profile for the review prompt, with what to look out for.
+ *
+ * @param {Object|null} settings
+ * @returns {string}
+ */
+export function describeEmulation(settings) {
+  if (!settings) return 'browser defaults';
+
+  const parts = [];
+  if (settings.colorScheme === 'dark') {
+    parts.push('dark color scheme (look for elements that did not adapt: dark text or icons on dark backgrounds, light-only images, low-contrast borders)');
+  } else if (settings.colorScheme) {
+    parts.push(`${settings.colorScheme} color scheme`);
+  }
+  if (settings.reducedMotion === 'reduce') parts.push('reduced motion');
+  if (settings.forcedColors === 'active') {
+    parts.push('forced colors / high contrast mode (look for invisible borders, icons and focus indicators)');
+  }
+  if (settings.locale) {
+    parts.push(`locale ${settings.locale} (look for translated text that overflows, truncates or wraps badly)`);
+  }
+  if (settings.timezoneId) parts.push(`timezone ${settings.timezoneId}`);
+  return parts.join('; ') || 'browser defaults';
+}
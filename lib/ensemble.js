@@ -0,0 +1,158 @@
+import { sortIssues, boxOverlap } from './report.js';
+
+/**
+ * Multi-model reviews: the same screenshot is analyzed by every model in
+ * `config.models` and the answers are merged.
+ *
+ * A single small model both hallucinates issues and misses real ones.
+ * Issues that several models report independently are more likely real, so
+ * each merged issue carries how many models agreed on it. Similar issues
+ * are matched on category, location and description wording.
+ */
+
+/** Minimum similarity (0-1) for two issues from different models to be merged */
+const MERGE_THRESHOLD = 0.5;
+
+/** Issues with no description overlap are never merged, however close their location */
+const MIN_DESCRIPTION_SIMILARITY = 0.1;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'are', 'for', 'with', 'that', 'this', 'from', 'has', 'have', 'not', 'but',
+  'too', 'its', 'which', 'into', 'than', 'them', 'they', 'there', 'when', 'while', 'some',
+  'page', 'section', 'element', 'elements', 'appears', 'seems', 'should', 'could', 'may',
+]);
+
+/**
+ * Models to run for a review: `config.models` when set, otherwise `config.model`.
+ *
+ * @param {Object} config
+ * @returns {string[]}
+ */
+export function reviewModels(config) {
+  return config.models?.length ? config.models : [config.model];
+}
+
+/**
+ * Significant lowercase words of a text.
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function words(text) {
+  return new Set(
+    (text || '').toLowerCase().split(/[^a-z0-9#.-]+/).filter(w => w.length > 2 && !STOPWORDS.has(w))
+  );
+}
+
+/**
+ * Jaccard similarity of two word sets (0-1).
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Similarity (0-1) of two issues: category 25%, location 25%, description 50%.
+ * Location is the better of the wording overlap and the bounding box overlap.
+ *
+ * @param {Object} a - Sanitized issue
+ * @param {Object} b - Sanitized issue
+ * @returns {number}
+ */
+export function issueSimilarity(a, b) {
+  const description = jaccard(words(a.description), words(b.description));
+  if (description < MIN_DESCRIPTION_SIMILARITY) return 0;
+  return 0.25 * (a.category === b.category ? 1 : 0)
+    + 0.25 * Math.max(jaccard(words(a.location), words(b.location)), a.box && b.box ? boxOverlap(a.box, b.box) : 0)
+    + 0.5 * description;
+}
+
+const SEVERITY_RANK = { critical: 0, warning: 1, suggestion: 2 };
+
+/**
+ * Merge per-model review results of the same screenshot into one result.
+ *
+ * Issues are clustered greedily in model order: each issue joins the most
+ * similar cluster that has no issue from its model yet, or starts a new one.
+ * A cluster is reported once, as its most severe issue (earliest model on
+ * ties), with `agreement` (models that reported it), `confidence`
+ * (agreement / models) and `models`. The summary is the first model's.
+ *
+ * @param {Array<{ model: string, result: Object }>} modelResults - Sanitized result per model, in config order
+ * @returns {Object} Sanitized review result with `models`
+ */
+export function mergeModelResults(modelResults) {
+  const clusters = [];
+
+  for (const { model, result } of modelResults) {
+    for (const issue of result.issues) {
+      let best = null;
+      let bestScore = MERGE_THRESHOLD;
+      for (const cluster of clusters) {
+        if (cluster.models.includes(model)) continue;
+        const score = Math.max(...cluster.issues.map(other => issueSimilarity(issue, other)));
+        if (score >= bestScore) {
+          best = cluster;
+          bestScore = score;
+        }
+      }
+      if (best) {
+        best.issues.push(issue);
+        best.models.push(model);
+      } else {
+        clusters.push({ issues: [issue], models: [model] });
+      }
+    }
+  }
+
+  const modelCount = modelResults.length;
+  const issues = clusters.map(({ issues: group, models }) => {
+    const representative = group.reduce((a, b) => (SEVERITY_RANK[b.severity] < SEVERITY_RANK[a.severity] ? b : a));
+    return {
+      ...representative,
+      agreement: models.length,
+      confidence: Number((models.length / modelCount).toFixed(2)),
+      models,
+    };
+  });
+
+  // Most agreed-on first within each severity
+  issues.sort((a, b) => b.agreement - a.agreement);
+
+  const structured = modelResults.filter(({ result }) => !result._raw);
+  const base = (structured[0] || modelResults[0]).result;
+
+  return {
+    ...base,
+    issues: sortIssues(issues),
+    models: modelResults.map(({ model }) => model),
+    _raw: structured.length === 0,
+  };
+}
+
+/**
+ * Whether a majority of the models reported an issue. Issues that were
+ * not produced by an ensemble (single model, measured budgets) count as
+ * consensus.
+ *
+ * @param {Object} issue
+ * @returns {boolean}
+ */
+export function isConsensus(issue) {
+  return issue.confidence === undefined || issue.confidence > 0.5;
+}
+
+/**
+ * Copy of a result with only consensus issues.
+ *
+ * @param {Object} result - Review result
+ * @returns {Object}
+ */
+export function filterConsensus(result) {
+  return { ...result, issues: result.issues.filter(isConsensus) };
+}
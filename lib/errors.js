@@ -26,6 +26,9 @@ export class OllamaModelError extends UiReviewError {}
 /** Ollama response error (content too large, server-side error in stream) — not retryable */
 export class OllamaResponseError extends UiReviewError {}
 
+/** Server rejected the structured-output schema (no `format` / `response_format` support) */
+export class OllamaSchemaError extends OllamaResponseError {}
+
 /** Playwright screenshot capture failed */
 export class CaptureError extends UiReviewError {}
 
@@ -0,0 +1,211 @@
+import { OllamaConnectionError, OllamaTimeoutError } from './errors.js';
+
+/**
+ * VLM host pool, shared by both providers (see provider.js).
+ *
+ * `config.hosts` lists several servers with the same models, each with its
+ * own credentials and `maxConcurrency`. Every analysis goes to the least
+ * busy healthy host that has a free slot, and waits while all hosts are
+ * full. A host failing with a connection error or a timeout (after its own
+ * retries, see withRetry()) is taken out of rotation for HOST_COOLDOWN and
+ * the analysis fails over to the next host. Without `hosts`, `ollamaUrl`
+ * and the top-level credentials form a pool of one.
+ *
+ * The pool is shared by everything in the process, so concurrent server
+ * runs together stay within each host's `maxConcurrency`.
+ */
+
+/** How long a failed host is left out before it gets requests again */
+export const HOST_COOLDOWN = 60_000;
+
+/** Host URL → { active, downUntil } */
+const hostState = new Map();
+
+/** Resolvers of analyses waiting for a free slot */
+let waiting = [];
+
+/**
+ * The hosts of a config: `config.hosts`, or `ollamaUrl` alone.
+ *
+ * @param {Object} config
+ * @returns {Array<Object>} [{ url, maxConcurrency, ... }]
+ */
+export function resolveHosts(config) {
+  if (!config.hosts?.length) return [{ url: config.ollamaUrl, maxConcurrency: 1 }];
+  return config.hosts.map(host => ({ maxConcurrency: 1, ...host }));
+}
+
+/**
+ * Number of analyses the hosts can run at the same time.
+ *
+ * @param {Object} config
+ * @returns {number}
+ */
+export function hostCapacity(config) {
+  return resolveHosts(config).reduce((sum, host) => sum + host.maxConcurrency, 0);
+}
+
+/**
+ * Host URLs for status messages, e.g. "http://gpu1:11434, http://gpu2:11434".
+ *
+ * @param {Object} config
+ * @returns {string}
+ */
+export function hostsLabel(config) {
+  return resolveHosts(config).map(host => host.url).join(', ');
+}
+
+/**
+ * Config for requests to one host. Credentials a host doesn't set are
+ * taken from the top-level config.
+ *
+ * @param {Object} config
+ * @param {Object} host
+ * @returns {Object}
+ */
+function hostConfig(config, host) {
+  return {
+    ...config,
+    ollamaUrl: host.url,
+    apiKey: host.apiKey ?? config.apiKey,
+    cfClientId: host.cfClientId ?? config.cfClientId,
+    cfClientSecret: host.cfClientSecret ?? config.cfClientSecret,
+  };
+}
+
+/**
+ * @param {string} url
+ * @returns {{ active: number, downUntil: number }}
+ */
+function stateOf(url) {
+  if (!hostState.has(url)) hostState.set(url, { active: 0, downUntil: 0 });
+  return hostState.get(url);
+}
+
+/**
+ * Whether an error means the host is unreachable or stuck, rather than
+ * the request being wrong.
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isHostFailure(err) {
+  return err instanceof OllamaConnectionError || err instanceof OllamaTimeoutError;
+}
+
+/**
+ * @param {Object} host
+ * @param {Error} err
+ */
+function markDown(host, err) {
+  stateOf(host.url).downUntil = Date.now() + HOST_COOLDOWN;
+  console.error(`[hosts] ${host.url} out of rotation for ${HOST_COOLDOWN / 1000}s: ${err.message}`);
+}
+
+/**
+ * Take a slot on the least busy healthy host, waiting for one to free up.
+ * When every candidate is down, the one that recovers first is used
+ * rather than failing outright.
+ *
+ * @param {Array<Object>} hosts
+ * @param {Set<string>} exclude - URLs already tried for this analysis
+ * @returns {Promise<Object|null>} null when every host has been tried
+ */
+async function acquire(hosts, exclude) {
+  for (;;) {
+    const candidates = hosts.filter(host => !exclude.has(host.url));
+    if (!candidates.length) return null;
+
+    const now = Date.now();
+    const healthy = candidates.filter(host => stateOf(host.url).downUntil <= now);
+    const pool = healthy.length
+      ? healthy
+      : [candidates.reduce((a, b) => (stateOf(b.url).downUntil < stateOf(a.url).downUntil ? b : a))];
+    const load = host => stateOf(host.url).active / host.maxConcurrency;
+    const free = pool.filter(host => stateOf(host.url).active < host.maxConcurrency);
+    if (free.length) {
+      const host = free.reduce((a, b) => (load(b) < load(a) ? b : a));
+      stateOf(host.url).active++;
+      return host;
+    }
+    await new Promise(resolve => waiting.push(resolve));
+  }
+}
+
+/**
+ * Give a slot back and let waiting analyses look again.
+ * @param {Object} host
+ */
+function release(host) {
+  stateOf(host.url).active--;
+  const wake = waiting;
+  waiting = [];
+  for (const resolve of wake) resolve();
+}
+
+/**
+ * Run a request on a host from the pool, failing over to the other hosts
+ * on connection errors and timeouts. Other errors (auth, model, response)
+ * are thrown as they are: they point at the request or the configuration,
+ * not at a host being down.
+ *
+ * @param {Object} config
+ * @param {Function} fn - (hostConfig) => Promise; hostConfig is config with the host's URL and credentials
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withHost(config, fn) {
+  const hosts = resolveHosts(config);
+  const tried = new Set();
+  let lastError;
+  for (;;) {
+    const host = await acquire(hosts, tried);
+    if (!host) throw lastError;
+    tried.add(host.url);
+    try {
+      const result = await fn(hostConfig(config, host));
+      stateOf(host.url).downUntil = 0;
+      return result;
+    } catch (err) {
+      if (!isHostFailure(err)) throw err;
+      lastError = err;
+      if (hosts.length > 1) markDown(host, err);
+    } finally {
+      release(host);
+    }
+  }
+}
+
+/**
+ * Run a request on every healthy host at once (health checks, prewarm).
+ * Hosts failing with connection errors or timeouts are taken out of
+ * rotation; the call only fails when no host succeeds, or on any other
+ * error.
+ *
+ * @param {Object} config
+ * @param {Function} fn - (hostConfig) => Promise
+ * @param {Object} [options]
+ * @param {boolean} [options.all=false] - Include hosts that are out of rotation (health checks)
+ * @returns {Promise<Array<{ url: string, ok: boolean, value?: *, error?: string }>>} One entry per host tried
+ */
+export async function eachHost(config, fn, { all = false } = {}) {
+  const now = Date.now();
+  const hosts = resolveHosts(config);
+  const healthy = hosts.filter(host => stateOf(host.url).downUntil <= now);
+  // With every host out of rotation, try them all rather than none
+  const targets = all || !healthy.length ? hosts : healthy;
+  const settled = await Promise.allSettled(targets.map(host => fn(hostConfig(config, host))));
+
+  const outcomes = settled.map((outcome, i) => {
+    const host = targets[i];
+    if (outcome.status === 'fulfilled') {
+      stateOf(host.url).downUntil = 0;
+      return { url: host.url, ok: true, value: outcome.value };
+    }
+    if (!isHostFailure(outcome.reason)) throw outcome.reason;
+    if (hosts.length > 1) markDown(host, outcome.reason);
+    return { url: host.url, ok: false, error: outcome.reason.message, reason: outcome.reason };
+  });
+
+  if (!outcomes.some(o => o.ok)) throw outcomes[0].reason;
+  return outcomes.map(({ reason, ...outcome }) => outcome);
+}
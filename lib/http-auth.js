@@ -0,0 +1,210 @@
+import { ConfigError } from './errors.js';
+
+/**
+ * Request-level access to protected environments: HTTP basic auth, extra
+ * request headers and injected cookies (feature flags, session tokens).
+ *
+ * Complements `storageState`, which needs a login flow to produce. Values
+ * are secrets, so anything that is printed or saved goes through
+ * redactAuth() first.
+ */
+
+/** Placeholder for secret values in debug output and saved reports */
+export const REDACTED = '[redacted]';
+
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9a-z-]+$/i;
+
+const SAME_SITE = ['Strict', 'Lax', 'None'];
+
+/**
+ * Validate httpCredentials, extraHTTPHeaders and cookies from the manifest,
+ * CLI or an API request body.
+ *
+ * @param {Object} auth - { httpCredentials?, extraHTTPHeaders?, cookies? }
+ * @param {string} [label] - Prefix for error messages
+ * @throws {ConfigError}
+ */
+export function validateHttpAuth({ httpCredentials, extraHTTPHeaders, cookies }, label) {
+  const where = field => (label ? `${label} ${field}` : field);
+
+  if (httpCredentials !== undefined) {
+    if (!httpCredentials || typeof httpCredentials !== 'object' || Array.isArray(httpCredentials)) {
+      throw new ConfigError(`${where('httpCredentials')} must be an object with username and password`);
+    }
+    if (typeof httpCredentials.username !== 'string' || !httpCredentials.username) {
+      throw new ConfigError(`${where('httpCredentials')} needs a "username" string`);
+    }
+    if (typeof httpCredentials.password !== 'string') {
+      throw new ConfigError(`${where('httpCredentials')} needs a "password" string`);
+    }
+    if (httpCredentials.origin !== undefined) {
+      let origin;
+      try {
+        origin = new URL(httpCredentials.origin);
+      } catch {
+        throw new ConfigError(`${where('httpCredentials.origin')} must be a URL origin, e.g. https://staging.example.com`);
+      }
+      if (!['http:', 'https:'].includes(origin.protocol) || origin.origin !== httpCredentials.origin.replace(/\/$/, '')) {
+        throw new ConfigError(`${where('httpCredentials.origin')} must be a URL origin, e.g. https://staging.example.com`);
+      }
+    }
+    if (httpCredentials.send !== undefined && !['always', 'unauthorized'].includes(httpCredentials.send)) {
+      throw new ConfigError(`${where('httpCredentials.send')} must be "always" or "unauthorized"`);
+    }
+  }
+
+  if (extraHTTPHeaders !== undefined) {
+    if (!extraHTTPHeaders || typeof extraHTTPHeaders !== 'object' || Array.isArray(extraHTTPHeaders)) {
+      throw new ConfigError(`${where('extraHTTPHeaders')} must be an object of header name → value`);
+    }
+    for (const [name, value] of Object.entries(extraHTTPHeaders)) {
+      if (!HEADER_NAME_PATTERN.test(name)) {
+        throw new ConfigError(`${where('extraHTTPHeaders')}: invalid header name "${name}"`);
+      }
+      if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+        throw new ConfigError(`${where('extraHTTPHeaders')}: value of "${name}" must be a single-line string`);
+      }
+    }
+  }
+
+  if (cookies !== undefined) {
+    if (!Array.isArray(cookies)) {
+      throw new ConfigError(`${where('cookies')} must be an array`);
+    }
+    for (const [i, cookie] of cookies.entries()) {
+      const at = `${where('cookies')} ${i + 1}`;
+      if (!cookie || typeof cookie !== 'object') {
+        throw new ConfigError(`${at} must be an object`);
+      }
+      if (typeof cookie.name !== 'string' || !cookie.name || typeof cookie.value !== 'string') {
+        throw new ConfigError(`${at} needs "name" and "value" strings`);
+      }
+      for (const field of ['url', 'domain', 'path']) {
+        if (cookie[field] !== undefined && (typeof cookie[field] !== 'string' || !cookie[field])) {
+          throw new ConfigError(`${at} (${cookie.name}): ${field} must be a non-empty string`);
+        }
+      }
+      if (cookie.url !== undefined && cookie.domain !== undefined) {
+        throw new ConfigError(`${at} (${cookie.name}): set either url or domain, not both`);
+      }
+      if (cookie.expires !== undefined && !Number.isFinite(cookie.expires)) {
+        throw new ConfigError(`${at} (${cookie.name}): expires must be a Unix timestamp in seconds`);
+      }
+      for (const flag of ['httpOnly', 'secure']) {
+        if (cookie[flag] !== undefined && typeof cookie[flag] !== 'boolean') {
+          throw new ConfigError(`${at} (${cookie.name}): ${flag} must be a boolean`);
+        }
+      }
+      if (cookie.sameSite !== undefined && !SAME_SITE.includes(cookie.sameSite)) {
+        throw new ConfigError(`${at} (${cookie.name}): sameSite must be one of ${SAME_SITE.join(', ')}`);
+      }
+    }
+  }
+}
+
+/**
+ * Browser context options for basic auth.
+ *
+ * Credentials without an explicit origin are only sent to the origin of
+ * `url`, so third-party hosts the page loads from never see them.
+ *
+ * @param {Object} auth - { httpCredentials? }
+ * @param {string} url - Page (or site) being visited
+ * @returns {Object} Options to merge into browser.newContext()
+ */
+export function authContextOptions({ httpCredentials }, url) {
+  const options = {};
+  if (httpCredentials) {
+    options.httpCredentials = { origin: new URL(url).origin, ...httpCredentials };
+  }
+  return options;
+}
+
+/**
+ * Add extra headers to the requests a context makes to the origin of
+ * `url`. Like credentials, they never reach third-party hosts, which
+ * the context-wide `extraHTTPHeaders` option can't ensure.
+ *
+ * Install after installNetworkPolicy(): the last route registered runs
+ * first, and falls back to the policy with the headers added.
+ *
+ * @param {import('playwright').BrowserContext} context
+ * @param {Object} [extraHTTPHeaders] - Header name → value
+ * @param {string} url - Page (or site) being visited
+ */
+export async function addAuthHeaders(context, extraHTTPHeaders, url) {
+  if (!extraHTTPHeaders || !Object.keys(extraHTTPHeaders).length) return;
+  const origin = new URL(url).origin;
+  await context.route(requestUrl => requestUrl.origin === origin, async (route) => {
+    await route.fallback({ headers: { ...route.request().headers(), ...extraHTTPHeaders } }).catch(() => {});
+  });
+}
+
+/**
+ * Add cookies to a context. Cookies without a url or domain are set for
+ * the origin of `url`.
+ *
+ * @param {import('playwright').BrowserContext} context
+ * @param {Array} [cookies=[]]
+ * @param {string} url - Page (or site) being visited
+ */
+export async function addAuthCookies(context, cookies = [], url) {
+  if (!cookies.length) return;
+  await context.addCookies(cookies.map(cookie => {
+    if (cookie.url) return cookie;
+    if (cookie.domain) return { path: '/', ...cookie };
+    return { ...cookie, url: new URL(url).origin };
+  }));
+}
+
+/**
+ * Headers for a request made outside the browser (sitemap fetch): extra
+ * headers, basic auth and the cookies that apply to `url`.
+ *
+ * @param {Object} auth - { httpCredentials?, extraHTTPHeaders?, cookies? }
+ * @param {string} url
+ * @returns {Object} Header name → value
+ */
+export function authHeaders({ httpCredentials, extraHTTPHeaders, cookies = [] }, url) {
+  const target = new URL(url);
+  const headers = { ...extraHTTPHeaders };
+
+  if (httpCredentials && (httpCredentials.origin || target.origin) === target.origin) {
+    const token = Buffer.from(`${httpCredentials.username}:${httpCredentials.password}`).toString('base64');
+    headers.Authorization = `Basic ${token}`;
+  }
+
+  const host = target.hostname;
+  const matching = cookies.filter(cookie => {
+    if (cookie.url) return new URL(cookie.url).hostname === host;
+    if (cookie.domain) {
+      const domain = cookie.domain.replace(/^\./, '');
+      return host === domain || host.endsWith(`.${domain}`);
+    }
+    return true;
+  });
+  if (matching.length) headers.Cookie = matching.map(c => `${c.name}=${c.value}`).join('; ');
+
+  return headers;
+}
+
+/**
+ * Copy of the auth settings that is safe to print or save: the username,
+ * header names and cookie names stay, every value is replaced.
+ *
+ * @param {Object} auth - { httpCredentials?, extraHTTPHeaders?, cookies? }
+ * @returns {Object} Only the fields that are set
+ */
+export function redactAuth({ httpCredentials, extraHTTPHeaders, cookies }) {
+  const redacted = {};
+  if (httpCredentials) {
+    redacted.httpCredentials = { ...httpCredentials, password: REDACTED };
+  }
+  if (extraHTTPHeaders && Object.keys(extraHTTPHeaders).length) {
+    redacted.extraHTTPHeaders = Object.fromEntries(Object.keys(extraHTTPHeaders).map(name => [name, REDACTED]));
+  }
+  if (cookies?.length) {
+    redacted.cookies = cookies.map(cookie => ({ ...cookie, value: REDACTED }));
+  }
+  return redacted;
+}
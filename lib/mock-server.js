@@ -0,0 +1,305 @@
+import { createServer } from 'node:http';
+import { ConfigError } from './errors.js';
+
+/**
+ * Stand-in for an Ollama server, for offline runs and tests.
+ *
+ * Speaks the parts of Ollama's API the client uses: GET /api/tags and
+ * streaming POST /api/chat (NDJSON). Analysis requests are answered from a
+ * queue of scripted responses, falling back to the default scenario; each
+ * scenario reproduces something a real server or tunnel does: canned
+ * issues, malformed JSON, think tags, errors mid-stream, Cloudflare 524
+ * pages, slow tokens and streams that stop early. Prewarm requests (no
+ * images, a handful of tokens) are always answered "ready" and don't use up
+ * the queue.
+ *
+ * @example
+ *   const mock = await startMockServer({ responses: ['malformed', 'issues'] });
+ *   const config = { ollamaUrl: mock.url, model: 'qwen3-vl:8b', cache: false };
+ *   // ... run a review against config, then inspect mock.requests
+ *   await mock.close();
+ */
+
+/** Issues returned by the "issues" scenario; they satisfy REVIEW_SCHEMA */
+export const CANNED_ISSUES = [
+  {
+    severity: 'critical',
+    category: 'accessibility',
+    location: 'Primary button in the hero section',
+    description: 'White button text on a light yellow background has very low contrast.',
+    recommendation: 'Darken the button background or use dark text to reach a 4.5:1 contrast ratio.',
+    box: [412, 388, 588, 452],
+  },
+  {
+    severity: 'warning',
+    category: 'layout',
+    location: 'Navigation bar, right side',
+    description: 'The last navigation link overlaps the search field.',
+    recommendation: 'Reduce the gap between links or collapse them into a menu at this width.',
+    box: [780, 20, 990, 70],
+  },
+  {
+    severity: 'suggestion',
+    category: 'typography',
+    location: 'Footer',
+    description: 'Footer text uses three different font sizes without a clear hierarchy.',
+    recommendation: 'Use one size for links and one smaller size for legal text.',
+    box: null,
+  },
+];
+
+/**
+ * Scenario name → description. See respond() for what each one sends.
+ */
+export const SCENARIOS = {
+  issues: 'Valid JSON answer with the canned issues',
+  empty: 'Valid JSON answer without issues',
+  prose: 'Free-form text with the JSON inside a fenced code block',
+  malformed: 'Truncated, unparseable JSON',
+  think: 'Thinking chunks, then the answer wrapped in <think> tags',
+  error: 'Ollama error line instead of an answer',
+  'mid-stream-error': 'Half the answer, then an Ollama error line',
+  'cf-524': 'Cloudflare 524 HTML page',
+  'not-found': 'HTTP 404, model not found',
+  'no-schema': 'HTTP 400 for a JSON Schema format, like Ollama before 0.5',
+  slow: 'The canned answer, one chunk every 250ms unless tokenDelay is set',
+  truncated: 'Half the answer, then the stream ends without a done line',
+  length: 'Half the answer, then done with done_reason "length"',
+};
+
+const SLOW_TOKEN_DELAY = 250;
+
+/** Requests for at most this many tokens are prewarms (ollama.js prewarm asks for 8) */
+const PREWARM_MAX_TOKENS = 16;
+
+/**
+ * Validate a scenario name.
+ *
+ * @param {string} name
+ * @throws {ConfigError}
+ */
+export function validateScenario(name) {
+  if (!Object.hasOwn(SCENARIOS, name)) {
+    throw new ConfigError(`Unknown mock scenario "${name}". Known: ${Object.keys(SCENARIOS).join(', ')}`);
+  }
+}
+
+/**
+ * @param {string} text
+ * @param {number} size
+ * @returns {string[]}
+ */
+function chunk(text, size) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * @param {import('node:http').IncomingMessage} req
+ * @returns {Promise<Object>}
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString() || '{}'));
+      } catch {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Whether a chat request is a prewarm: no images, few tokens.
+ * @param {Object} body
+ * @returns {boolean}
+ */
+function isPrewarm(body) {
+  const noImages = (body.messages || []).every(m => !m.images?.length);
+  return noImages && body.options?.num_predict <= PREWARM_MAX_TOKENS;
+}
+
+/**
+ * Start a mock Ollama server.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port
+ * @param {string} [options.host='127.0.0.1']
+ * @param {string[]} [options.models=['qwen3-vl:8b']] - Listed by /api/tags
+ * @param {string} [options.scenario='issues'] - Default answer (see SCENARIOS)
+ * @param {Array<string|Object>} [options.responses] - Scripted answers for the next analysis requests, in order:
+ *   a scenario name, or `{ scenario?, content?, tokenDelay? }` where `content` (string or object) replaces the answer text
+ * @param {number} [options.tokenDelay=0] - Delay between streamed chunks in ms
+ * @param {number} [options.chunkSize=12] - Characters per streamed chunk
+ * @param {Array<Object>} [options.issues=CANNED_ISSUES] - Issues of the "issues" and "slow" answers
+ * @returns {Promise<{ url: string, port: number, requests: Array<Object>, enqueue: Function, close: Function }>}
+ *   `requests` logs `{ method, path, body, scenario }` per request (images replaced by their sizes);
+ *   `enqueue(...responses)` adds scripted answers; `close()` stops the server
+ */
+export async function startMockServer({
+  port = 0,
+  host = '127.0.0.1',
+  models = ['qwen3-vl:8b'],
+  scenario = 'issues',
+  responses = [],
+  tokenDelay = 0,
+  chunkSize = 12,
+  issues = CANNED_ISSUES,
+} = {}) {
+  validateScenario(scenario);
+  const queue = [];
+  const requests = [];
+
+  const enqueue = (...items) => {
+    for (const item of items) {
+      const step = typeof item === 'string' ? { scenario: item } : { ...item };
+      step.scenario ??= scenario;
+      validateScenario(step.scenario);
+      queue.push(step);
+    }
+  };
+  enqueue(...responses);
+
+  const answerFor = (step) => {
+    if (step.content !== undefined) {
+      return typeof step.content === 'string' ? step.content : JSON.stringify(step.content);
+    }
+    const json = JSON.stringify({
+      issues: step.scenario === 'empty' ? [] : issues,
+      summary: step.scenario === 'empty' ? 'The page looks clean.' : `Found ${issues.length} issue(s).`,
+    });
+    if (step.scenario === 'prose') return `Here is my review of the screenshot.\n\n\`\`\`json\n${json}\n\`\`\`\n\nLet me know if you need more detail.`;
+    if (step.scenario === 'malformed') return json.slice(0, Math.floor(json.length * 0.6));
+    if (step.scenario === 'think') return `<think>The hero button looks low in contrast. Checking the navigation next.</think>\n${json}`;
+    return json;
+  };
+
+  /** Stream one chat answer as NDJSON. */
+  const respond = async (res, body, step) => {
+    const started = process.hrtime.bigint();
+    const model = body.model || models[0];
+    const line = data => res.write(JSON.stringify({ model, created_at: new Date().toISOString(), ...data }) + '\n');
+    const delay = step.tokenDelay ?? (step.scenario === 'slow' && !tokenDelay ? SLOW_TOKEN_DELAY : tokenDelay);
+    const pause = () => (delay ? new Promise(r => setTimeout(r, delay)) : Promise.resolve());
+
+    if (step.scenario === 'cf-524') {
+      res.writeHead(524, { 'Content-Type': 'text/html; charset=UTF-8' });
+      res.end('<!DOCTYPE html><html><head><title>A timeout occurred | Cloudflare</title></head>'
+        + '<body><h1>A timeout occurred</h1><p>Error code 524</p></body></html>');
+      return;
+    }
+    if (step.scenario === 'no-schema' && typeof body.format === 'object') {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'invalid format: expected "json" or a JSON schema' }));
+      return;
+    }
+    if (step.scenario === 'not-found') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `model "${model}" not found, try pulling it first` }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+    if (step.scenario === 'error') {
+      res.end(JSON.stringify({ error: 'model runner has unexpectedly stopped' }) + '\n');
+      return;
+    }
+
+    if (step.scenario === 'think') {
+      for (const thought of chunk('Looking at the layout, contrast and spacing.', chunkSize)) {
+        line({ message: { role: 'assistant', content: '', thinking: thought }, done: false });
+        await pause();
+      }
+    }
+
+    const answer = isPrewarm(body) ? 'ready' : answerFor(step);
+    const stopsEarly = ['mid-stream-error', 'truncated', 'length'].includes(step.scenario);
+    const chunks = chunk(answer, chunkSize);
+    const sent = stopsEarly ? chunks.slice(0, Math.ceil(chunks.length / 2)) : chunks;
+    for (const content of sent) {
+      if (res.destroyed) return;
+      line({ message: { role: 'assistant', content }, done: false });
+      await pause();
+    }
+
+    if (step.scenario === 'mid-stream-error') {
+      res.end(JSON.stringify({ error: 'an error was encountered while running the model: unexpected EOF' }) + '\n');
+      return;
+    }
+    if (step.scenario === 'truncated') {
+      res.end();
+      return;
+    }
+
+    const totalDuration = Number(process.hrtime.bigint() - started);
+    line({
+      message: { role: 'assistant', content: '' },
+      done: true,
+      done_reason: step.scenario === 'length' ? 'length' : 'stop',
+      total_duration: totalDuration,
+      load_duration: 1_000_000,
+      prompt_eval_count: Math.ceil(JSON.stringify(body.messages || []).length / 4),
+      eval_count: sent.length,
+      eval_duration: totalDuration,
+    });
+    res.end();
+  };
+
+  const server = createServer(async (req, res) => {
+    const path = new URL(req.url, 'http://mock').pathname;
+    try {
+      if (path === '/api/tags' && req.method === 'GET') {
+        requests.push({ method: req.method, path });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          models: models.map(name => ({ name, model: name, modified_at: new Date(0).toISOString(), size: 0, details: { family: 'mock' } })),
+        }));
+        return;
+      }
+
+      if (path === '/api/chat' && req.method === 'POST') {
+        const body = await readJson(req);
+        const step = isPrewarm(body) ? { scenario: 'issues' } : queue.shift() || { scenario };
+        requests.push({
+          method: req.method,
+          path,
+          scenario: isPrewarm(body) ? 'prewarm' : step.scenario,
+          body: {
+            ...body,
+            messages: (body.messages || []).map(m => (m.images ? { ...m, images: m.images.map(img => Buffer.byteLength(img, 'base64')) } : m)),
+          },
+        });
+        await respond(res, body, step);
+        return;
+      }
+
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('404 page not found');
+    } catch (err) {
+      if (!res.headersSent) res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const { port: boundPort } = server.address();
+
+  return {
+    url: `http://${host.includes(':') ? `[${host}]` : host}:${boundPort}`,
+    port: boundPort,
+    requests,
+    enqueue,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    }),
+  };
+}
@@ -0,0 +1,383 @@
+import { lookup } from 'node:dns/promises';
+import { BlockList, isIP } from 'node:net';
+import { ConfigError } from './errors.js';
+import { transferDelay } from './throttling.js';
+
+/**
+ * Network policy: which hosts a capture, crawl or login may talk to.
+ *
+ * Every hostname is resolved and *all* of its addresses are checked
+ * (SSRF prevention). Unresolvable hosts are blocked. In the browser the
+ * policy is enforced through request routing, so subresources, frames and
+ * redirects are covered as well as the page URL itself.
+ *
+ * The check and the browser's own DNS lookup are separate, so a host that
+ * changes its answer in between (DNS rebinding with a very low TTL) can
+ * still slip through; the policy narrows that window, it can't close it.
+ */
+
+/** Address ranges that are never reachable unless private addresses are allowed */
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4', '"this network" address'],
+  ['10.0.0.0', 8, 'ipv4', 'private address'],
+  ['100.64.0.0', 10, 'ipv4', 'carrier-grade NAT address'],
+  ['127.0.0.0', 8, 'ipv4', 'loopback address'],
+  ['169.254.0.0', 16, 'ipv4', 'link-local address'],
+  ['172.16.0.0', 12, 'ipv4', 'private address'],
+  ['192.0.0.0', 24, 'ipv4', 'IETF protocol address'],
+  ['192.168.0.0', 16, 'ipv4', 'private address'],
+  ['198.18.0.0', 15, 'ipv4', 'benchmarking address'],
+  ['224.0.0.0', 4, 'ipv4', 'multicast address'],
+  ['240.0.0.0', 4, 'ipv4', 'reserved or broadcast address'],
+  ['::', 128, 'ipv6', 'unspecified address'],
+  ['::1', 128, 'ipv6', 'loopback address'],
+  ['fc00::', 7, 'ipv6', 'unique local address'],
+  ['fe80::', 10, 'ipv6', 'link-local address'],
+  ['ff00::', 8, 'ipv6', 'multicast address'],
+].map(([network, prefix, type, label]) => {
+  const list = new BlockList();
+  list.addSubnet(network, prefix, type);
+  return { list, type, label };
+});
+
+/** Redirect hops followed outside the browser (sitemap fetch) */
+const MAX_REDIRECTS = 5;
+
+const HOST_PATTERN = /^(\*\.)?[a-z0-9_-]+(\.[a-z0-9_-]+)*$/i;
+
+/**
+ * Expand an IPv6 address into 8 numeric groups.
+ * @param {string} address
+ * @returns {number[]}
+ */
+function ipv6Groups(address) {
+  let text = address.split('%')[0];
+  // A trailing dotted quad ("::ffff:1.2.3.4") stands for the last two groups
+  const quad = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (quad) {
+    const [a, b, c, d] = quad.slice(1).map(Number);
+    text = `${text.slice(0, quad.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const parse = part => (part ? part.split(':').map(g => parseInt(g, 16)) : []);
+  const before = parse(head);
+  const after = tail === undefined ? [] : parse(tail);
+  return [...before, ...new Array(8 - before.length - after.length).fill(0), ...after];
+}
+
+/**
+ * IPv4 addresses carried inside an IPv6 one: IPv4-mapped (::ffff:a.b.c.d),
+ * IPv4-compatible (::a.b.c.d), NAT64 (64:ff9b::a.b.c.d), 6to4
+ * (2002:aabb:ccdd::/48) and Teredo (2001:0::/32, with the server address in
+ * groups 2-3 and the client address inverted in the last two groups).
+ *
+ * @param {string} address - IPv6 address
+ * @returns {string[]} Dotted quads, empty when nothing is embedded
+ */
+function embeddedIPv4(address) {
+  const g = ipv6Groups(address);
+  const quad = (hi, lo) => [hi >> 8, hi & 0xff, lo >> 8, lo & 0xff].join('.');
+  const zeros = n => g.slice(0, n).every(x => x === 0);
+  const mapped = zeros(5) && g[5] === 0xffff;
+  const compatible = zeros(6) && (g[6] !== 0 || g[7] > 1);
+  const nat64 = g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every(x => x === 0);
+  if (mapped || compatible || nat64) return [quad(g[6], g[7])];
+  if (g[0] === 0x2002) return [quad(g[1], g[2])];
+  if (g[0] === 0x2001 && g[1] === 0) return [quad(g[2], g[3]), quad(g[6] ^ 0xffff, g[7] ^ 0xffff)];
+  return [];
+}
+
+/**
+ * Why an IP address must not be reached, if it mustn't.
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {string|null} e.g. "loopback address", or null when public
+ */
+export function blockedAddressReason(address) {
+  const version = isIP(address.split('%')[0]);
+  if (!version) return 'invalid address';
+  if (version === 6) {
+    for (const ipv4 of embeddedIPv4(address)) {
+      const reason = blockedAddressReason(ipv4);
+      if (reason) return reason;
+    }
+  }
+  const type = version === 4 ? 'ipv4' : 'ipv6';
+  const range = BLOCKED_RANGES.find(r => r.type === type && r.list.check(address.split('%')[0], type));
+  return range ? range.label : null;
+}
+
+/**
+ * Does a hostname match a host pattern ("example.com" or "*.example.com")?
+ * @param {string} hostname - Lowercase, without brackets
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function matchesHost(hostname, pattern) {
+  const p = pattern.toLowerCase();
+  return p.startsWith('*.') ? hostname.endsWith(p.slice(1)) : hostname === p;
+}
+
+/**
+ * Validate the manifest's `network` section.
+ *
+ * @param {Object} network - { allowHosts?: string[], denyHosts?: string[] }
+ * @param {string} [label='network'] - Used in error messages
+ * @throws {ConfigError}
+ */
+export function validateNetworkPolicy(network, label = 'network') {
+  if (!network || typeof network !== 'object' || Array.isArray(network)) {
+    throw new ConfigError(`${label} must be an object with allowHosts and/or denyHosts`);
+  }
+  for (const key of Object.keys(network)) {
+    if (key !== 'allowHosts' && key !== 'denyHosts') {
+      throw new ConfigError(`${label}: unknown field "${key}". Known: allowHosts, denyHosts`);
+    }
+    if (!Array.isArray(network[key])) {
+      throw new ConfigError(`${label}.${key} must be an array of host names`);
+    }
+    for (const host of network[key]) {
+      if (typeof host !== 'string' || !(HOST_PATTERN.test(host) || isIP(host.replace(/^\[|\]$/g, '')))) {
+        throw new ConfigError(`${label}.${key}: invalid host "${host}" (expected e.g. example.com, *.example.com or an IP address)`);
+      }
+    }
+  }
+}
+
+/**
+ * Build a policy. Host checks are cached on it, so create one per capture,
+ * crawl or login rather than sharing one across runs.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPrivate=false] - Allow private/internal addresses
+ * @param {string[]} [options.allowHosts=[]] - When non-empty, only these hosts are reachable
+ * @param {string[]} [options.denyHosts=[]] - Never reachable, even with allowPrivate
+ * @returns {{ allowPrivate: boolean, allowHosts: string[], denyHosts: string[], cache: Map }}
+ */
+export function createNetworkPolicy({ allowPrivate = false, allowHosts = [], denyHosts = [] } = {}) {
+  return { allowPrivate, allowHosts, denyHosts, cache: new Map() };
+}
+
+/**
+ * Why a host must not be reached under a policy, if it mustn't.
+ * @param {string} hostname
+ * @param {Object} policy
+ * @returns {Promise<string|null>}
+ */
+async function checkHost(hostname, policy) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+  if (policy.denyHosts.some(p => matchesHost(host, p.replace(/^\[|\]$/g, '')))) {
+    return `host ${host} is in denyHosts`;
+  }
+  if (policy.allowHosts.length && !policy.allowHosts.some(p => matchesHost(host, p.replace(/^\[|\]$/g, '')))) {
+    return `host ${host} is not in allowHosts`;
+  }
+  if (policy.allowPrivate) return null;
+
+  let addresses;
+  try {
+    addresses = await lookup(host, { all: true, verbatim: true });
+  } catch (err) {
+    return `DNS lookup for ${host} failed (${err.code || err.message})`;
+  }
+  if (!addresses.length) return `DNS lookup for ${host} returned no addresses`;
+
+  for (const { address } of addresses) {
+    const reason = blockedAddressReason(address);
+    if (reason) return isIP(host) ? `${host} is a ${reason}` : `${host} resolves to ${reason} ${address}`;
+  }
+  return null;
+}
+
+/**
+ * Why a URL must not be requested under a policy, if it mustn't.
+ * Only http(s) URLs are ever allowed.
+ *
+ * @param {string|URL} url
+ * @param {Object} policy - From createNetworkPolicy()
+ * @returns {Promise<string|null>}
+ */
+export async function checkUrl(url, policy) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'invalid URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return `unsupported protocol ${parsed.protocol}`;
+  }
+
+  // Cache the promise so parallel subrequests to one host share a lookup
+  if (!policy.cache.has(parsed.hostname)) {
+    policy.cache.set(parsed.hostname, checkHost(parsed.hostname, policy));
+  }
+  return policy.cache.get(parsed.hostname);
+}
+
+/**
+ * Throw when a URL must not be requested (used for the page URL itself,
+ * before any browser is started).
+ *
+ * @param {string|URL} url
+ * @param {Object} policy - From createNetworkPolicy()
+ * @throws {ConfigError}
+ */
+export async function assertUrlAllowed(url, policy) {
+  const reason = await checkUrl(url, policy);
+  if (!reason) return;
+  const hint = policy.allowPrivate || !/address|DNS/.test(reason)
+    ? ''
+    : ' Use --allow-private (or "Allow private IPs" in the web UI) to override.';
+  throw new ConfigError(`${url} is blocked by the network policy: ${reason}.${hint}`);
+}
+
+/**
+ * Would this policy let everything through? Then routing is skipped.
+ * @param {Object} policy
+ * @returns {boolean}
+ */
+function isOpen(policy) {
+  return policy.allowPrivate && !policy.allowHosts.length && !policy.denyHosts.length;
+}
+
+/**
+ * Check the redirects a response starts before the browser follows them.
+ *
+ * The browser follows redirects of a routed request on its own, without
+ * routing the later hops. So every hop is requested here first (GET,
+ * without a redirect, with the context's cookies for that hop and none of
+ * the original request's other headers) and its target checked.
+ *
+ * @param {import('playwright').Route} route
+ * @param {import('playwright').APIResponse} response - First response, fetched with maxRedirects 0
+ * @param {Object} policy
+ * @returns {Promise<string|null>} Why the chain is blocked, or null
+ */
+async function checkRedirectChain(route, response, policy) {
+  const request = route.request();
+  const headers = Object.fromEntries(['user-agent', 'accept', 'accept-language']
+    .map(name => [name, request.headers()[name]])
+    .filter(([, value]) => value));
+  let current = request.url();
+  let hop = response;
+  for (let redirects = 0; ; redirects++) {
+    const location = hop.status() >= 300 && hop.status() < 400 && hop.headers().location;
+    if (hop !== response) await hop.dispose().catch(() => {});
+    if (!location) return null;
+    if (redirects === MAX_REDIRECTS) return `more than ${MAX_REDIRECTS} redirects`;
+
+    const target = new URL(location, current).href;
+    const reason = await checkUrl(target, policy);
+    if (reason) return `redirect to ${target} blocked: ${reason}`;
+    current = target;
+    try {
+      // An empty body, or the original request's body would be sent along
+      hop = await route.fetch({ url: target, method: 'GET', headers, postData: '', maxRedirects: 0 });
+    } catch {
+      // The browser's own request to an allowed host will fail the same way
+      return null;
+    }
+  }
+}
+
+/**
+ * Enforce a policy on every request of a browser context: navigations,
+ * frames and subresources. Requests are fetched outside the browser
+ * without following redirects, and every hop of a redirect chain is
+ * checked before the browser gets the first response (see
+ * checkRedirectChain()). WebSockets aren't requests to context.route(), so
+ * they are checked by their own route.
+ *
+ * Blocked requests are aborted; the page sees them as failed requests.
+ * Blocked WebSockets are closed with code 1008 (policy violation).
+ *
+ * Responses fetched here bypass the browser's network emulation, so with
+ * `network` (a throttling profile's conditions) each one is held back for
+ * the time it would take on that connection (see transferDelay()).
+ * Requests are then routed even under an open policy.
+ *
+ * @param {import('playwright').BrowserContext} context
+ * @param {Object} policy - From createNetworkPolicy()
+ * @param {Object} [options]
+ * @param {Object} [options.network] - { latency, downloadThroughput, uploadThroughput }
+ * @returns {Promise<Map<import('playwright').Request, string>>} Blocked requests and why, filled as they happen
+ */
+export async function installNetworkPolicy(context, policy, { network } = {}) {
+  const blocked = new Map();
+  const open = isOpen(policy);
+  if (open && !network) return blocked;
+
+  const block = async (route, request, reason) => {
+    blocked.set(request, reason);
+    await route.abort('blockedbyclient').catch(() => {});
+  };
+
+  await context.route('**/*', async (route) => {
+    const request = route.request();
+    const reason = open ? null : await checkUrl(request.url(), policy);
+    if (reason) return block(route, request, reason);
+
+    let response;
+    try {
+      response = await route.fetch({ maxRedirects: 0 });
+    } catch {
+      return route.abort('failed').catch(() => {});
+    }
+    const redirectReason = open ? null : await checkRedirectChain(route, response, policy);
+    if (redirectReason) return block(route, request, redirectReason);
+    if (network) {
+      const received = (await response.body().catch(() => Buffer.alloc(0))).length;
+      const sent = request.postDataBuffer()?.length ?? 0;
+      await new Promise(resolve => setTimeout(resolve, transferDelay(network, { sent, received })));
+    }
+    await route.fulfill({ response }).catch(() => {});
+  });
+
+  await context.routeWebSocket(/.*/, async (ws) => {
+    // ws: and wss: are checked like http: and https:
+    const reason = await checkUrl(ws.url().replace(/^ws/i, 'http'), policy);
+    if (reason) {
+      // Close reasons are limited to 123 bytes
+      await ws.close({ code: 1008, reason: `Blocked by network policy: ${reason}`.slice(0, 120) }).catch(() => {});
+      return;
+    }
+    ws.connectToServer();
+  });
+
+  return blocked;
+}
+
+/**
+ * fetch() under a policy: redirects are followed manually and every hop is
+ * checked before it is requested. `originHeaders` (credentials, API
+ * tokens) are only sent while the request stays on the origin of `url`;
+ * like fetch itself, Authorization and Cookie headers in `init.headers`
+ * are dropped once a redirect leaves it too.
+ *
+ * @param {string} url
+ * @param {Object} policy - From createNetworkPolicy()
+ * @param {RequestInit & { originHeaders?: Object }} [init] - Passed to fetch (redirect is always 'manual')
+ * @returns {Promise<Response>}
+ * @throws {ConfigError} When a hop is blocked or there are too many redirects
+ */
+export async function policyFetch(url, policy, { originHeaders = {}, ...init } = {}) {
+  const origin = new URL(url).origin;
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertUrlAllowed(current, policy);
+    const headers = new Headers(init.headers);
+    if (new URL(current).origin === origin) {
+      for (const [name, value] of Object.entries(originHeaders)) headers.set(name, value);
+    } else {
+      headers.delete('authorization');
+      headers.delete('cookie');
+    }
+    const res = await fetch(current, { ...init, headers, redirect: 'manual' });
+    const location = res.status >= 300 && res.status < 400 && res.headers.get('location');
+    if (!location) return res;
+    current = new URL(location, current).href;
+  }
+  throw new ConfigError(`Too many redirects fetching ${url}`);
+}
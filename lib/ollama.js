@@ -1,317 +1,67 @@
-import { OllamaConnectionError, OllamaTimeoutError, OllamaAuthError, OllamaModelError, OllamaResponseError } from './errors.js';
+import { OllamaConnectionError, OllamaAuthError, OllamaModelError, OllamaResponseError, OllamaSchemaError } from './errors.js';
+import { buildHeaders, providerFetch, withRetry, readStream, stripThinkTags, parseVlmJson } from './transport.js';
+import { callTelemetry } from './telemetry.js';
 
 /**
- * Ollama HTTP client for VLM analysis.
+ * Ollama HTTP client for VLM analysis (`provider: "ollama"`).
  *
  * Uses streaming NDJSON to avoid Cloudflare tunnel ~100s idle timeouts.
  * Each token chunk resets CF's idle timer, allowing long-running inference.
  */
 
-const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '::1', '0.0.0.0']);
-
-const MAX_CONTENT_SIZE = 5_000_000; // 5MB accumulated content limit
-
-/**
- * Mask a secret for safe logging (first 4 chars + ****).
- * @param {string} [s]
- * @returns {string}
- */
-function maskSecret(s) {
-  return s ? s.slice(0, 4) + '****' : '<not set>';
-}
-
-/**
- * Determine whether the Ollama URL points to a local server.
- * @param {string} ollamaUrl
- * @returns {boolean}
- */
-function isLocal(ollamaUrl) {
-  try {
-    const { hostname } = new URL(ollamaUrl);
-    return LOCAL_HOSTS.has(hostname);
-  } catch {
-    return false;
-  }
-}
-
-/**
- * Build request headers, adding CF Access credentials for remote hosts.
- * @param {Object} config
- * @returns {Object}
- */
-function buildHeaders(config) {
-  const headers = { 'Content-Type': 'application/json' };
-  if (!isLocal(config.ollamaUrl)) {
-    if (config.cfClientId) headers['CF-Access-Client-Id'] = config.cfClientId;
-    if (config.cfClientSecret) headers['CF-Access-Client-Secret'] = config.cfClientSecret;
-  }
-  return headers;
-}
-
-/**
- * Perform a fetch with standard error handling for Ollama responses.
- * @param {string} url
- * @param {Object} options - fetch options
- * @param {Object} config - app config (for debug logging)
- * @returns {Promise<Response>}
- */
-async function ollamaFetch(url, options, config) {
-  let response;
-  try {
-    response = await fetch(url, options);
-  } catch (err) {
-    if (err.name === 'AbortError' || err.name === 'TimeoutError') {
-      throw new OllamaTimeoutError(`Ollama request timed out: ${url}`);
-    }
-    throw new OllamaConnectionError(
-      `Cannot connect to Ollama at ${config.ollamaUrl}: ${err.message}`
-    );
-  }
-
-  // CF Access challenge detection — HTML instead of JSON
-  const contentType = response.headers.get('content-type') || '';
-  if (contentType.includes('text/html')) {
-    const remote = !isLocal(config.ollamaUrl);
-    // CF 524 (idle timeout) returns HTML — retryable via withRetry
-    if (response.status === 524) {
-      throw new OllamaTimeoutError(
-        `Cloudflare 524 timeout — server took too long to respond.`
-      );
-    }
-    const hint = remote
-      ? ` Check CF_ACCESS_CLIENT_ID (${maskSecret(config.cfClientId)}) and CF_ACCESS_CLIENT_SECRET (${maskSecret(config.cfClientSecret)}).`
-      : '';
-    if (config.debug) {
-      const body = await response.text().catch(() => '<unreadable>');
-      console.error(`[ollama] HTML response: status=${response.status} body=${body.slice(0, 300)}`);
-    }
-    throw new OllamaAuthError(
-      `Received HTML response (HTTP ${response.status}) from Ollama — likely a Cloudflare Access challenge.${hint}`
-    );
-  }
-
-  return response;
-}
+/** Server name for messages */
+export const LABEL = 'Ollama';
 
 /**
- * Retry wrapper for transient errors (CF 524, connection drops, timeouts).
- * Uses exponential backoff: 2s, 4s, 8s between retries.
- *
- * @param {Function} fn - Async function to retry
- * @param {Object} config - App config (for debug logging)
- * @param {number} [maxRetries=3] - Max retry attempts
- * @returns {Promise<*>} Result of fn
- */
-async function withRetry(fn, config, maxRetries = 3) {
-  let lastError;
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    if (attempt > 0) {
-      const wait = 2 ** attempt * 1000; // 2s, 4s, 8s
-      if (config.debug) {
-        console.error(`[ollama] Retry ${attempt}/${maxRetries - 1} after ${wait / 1000}s...`);
-      }
-      await new Promise(r => setTimeout(r, wait));
-    }
-    try {
-      return await fn();
-    } catch (err) {
-      lastError = err;
-      // Retry on timeout and connection errors, not auth/model errors
-      if (err instanceof OllamaTimeoutError || err instanceof OllamaConnectionError) {
-        continue;
-      }
-      throw err; // Auth/model errors: don't retry
-    }
-  }
-  throw lastError;
-}
-
-/**
- * Strip <think>...</think> reasoning blocks from VLM output.
- * qwen3-vl wraps internal reasoning in think tags; we don't want them in final output.
- * @param {string} text
- * @returns {string}
- */
-function stripThinkTags(text) {
-  return text.replace(/<think>[\s\S]*?<\/think>\s*/g, '');
-}
-
-/**
- * Read a streaming NDJSON response from Ollama, accumulating content chunks.
+ * Parse one NDJSON line from /api/chat.
  *
  * Each line is a JSON object: {"message":{"content":"token"},"done":false}
  * Final line has "done":true with metadata (total_duration, done_reason, etc.)
  *
- * @param {Response} response - fetch Response with streaming body
+ * @param {string} line
  * @param {Object} config - app config (for debug logging)
- * @returns {Promise<{ content: string, doneReason: string|null, totalDuration: number|null }>}
+ * @returns {Object|null} Stream event for readStream()
  */
-async function readStreamingResponse(response, config) {
-  const chunks = [];
-  let doneReason = null;
-  let totalDuration = null;
-  let evalCount = null;
-  let contentLength = 0;
-  let thinkingChunks = 0;
-
-  // Inter-chunk timeout: if no data arrives within this window, cancel the stream.
-  // With streaming, each token resets the timer. This replaces the total
-  // AbortSignal.timeout — see cloudflare-tunnel-streaming-guide.md.
-  const CHUNK_TIMEOUT = config.timeout || 300_000;
-  let chunkTimer;
-  const resetChunkTimer = () => {
-    clearTimeout(chunkTimer);
-    chunkTimer = setTimeout(() => {
-      response.body.cancel().catch(() => {}); // Cancel stream on silence timeout
-    }, CHUNK_TIMEOUT);
-  };
-
-  const decoder = new TextDecoder();
-  let lineBuf = '';
-
+function parseLine(line, config) {
+  let data;
   try {
-    resetChunkTimer();
-    for await (const rawChunk of response.body) {
-      resetChunkTimer(); // Reset on every chunk received
-      lineBuf += decoder.decode(rawChunk, { stream: true });
-
-      // Process complete NDJSON lines
-      const lines = lineBuf.split('\n');
-      lineBuf = lines.pop(); // Keep incomplete last line in buffer
-
-      for (const line of lines) {
-        if (!line.trim()) continue;
-
-        let data;
-        try {
-          data = JSON.parse(line);
-        } catch {
-          if (config.debug) {
-            console.error(`[ollama] Skipping unparseable NDJSON line: ${line.slice(0, 100)}`);
-          }
-          continue;
-        }
-
-        // Server-side error — not retryable (deterministic)
-        if (data.error) {
-          throw new OllamaResponseError(`Ollama error: ${data.error}`);
-        }
-
-        // Track thinking vs content tokens
-        if (data.message?.thinking) {
-          thinkingChunks++;
-        }
-
-        const content = data.message?.content || '';
-        if (content) {
-          contentLength += content.length;
-          if (contentLength > MAX_CONTENT_SIZE) {
-            throw new OllamaResponseError(
-              `Ollama response content too large (>${(MAX_CONTENT_SIZE / 1024 / 1024).toFixed(0)}MB limit)`
-            );
-          }
-          chunks.push(content);
-          if (config.debug && chunks.length <= 3) {
-            console.error(`[ollama] content chunk ${chunks.length}: ${JSON.stringify(content.slice(0, 80))}`);
-          }
-        }
-
-        if (data.done) {
-          doneReason = data.done_reason || null;
-          totalDuration = data.total_duration || null;
-          evalCount = data.eval_count || null;
-        }
-      }
-    }
-  } catch (err) {
-    if (err instanceof OllamaConnectionError || err instanceof OllamaResponseError) throw err;
-    if (err.name === 'AbortError' || err.name === 'TimeoutError') {
-      throw new OllamaTimeoutError(
-        `Ollama streaming timed out (no data for ${CHUNK_TIMEOUT / 1000}s) after ${thinkingChunks} thinking + ${chunks.length} content chunks`
-      );
+    data = JSON.parse(line);
+  } catch {
+    if (config.debug) {
+      console.error(`[ollama] Skipping unparseable NDJSON line: ${line.slice(0, 100)}`);
     }
-    throw new OllamaConnectionError(`Ollama stream error: ${err.message}`);
-  } finally {
-    clearTimeout(chunkTimer);
-  }
-
-  if (config.debug) {
-    console.error(`[ollama] stream stats: ${thinkingChunks} thinking chunks, ${chunks.length} content chunks, eval_count=${evalCount}`);
+    return null;
   }
 
-  // Partial stream detection: stream ended without a done marker
-  if (doneReason === null && chunks.length > 0) {
-    console.error(
-      `[ollama] Warning: stream ended without done marker (${chunks.length} content chunks, ${contentLength} chars). Response may be partial.`
-    );
+  // Server-side error — not retryable (deterministic)
+  if (data.error) {
+    throw new OllamaResponseError(`Ollama error: ${data.error}`);
   }
 
-  // Process any remaining buffer content
-  if (lineBuf.trim()) {
-    try {
-      const data = JSON.parse(lineBuf);
-      if (data.error) throw new OllamaResponseError(`Ollama error: ${data.error}`);
-      const content = data.message?.content || '';
-      if (content) chunks.push(content);
-      if (data.done) {
-        doneReason = data.done_reason || null;
-        totalDuration = data.total_duration || null;
+  return {
+    content: data.message?.content || '',
+    thinking: Boolean(data.message?.thinking),
+    done: data.done
+      ? {
+        reason: data.done_reason,
+        duration: data.total_duration,
+        loadDuration: data.load_duration,
+        evalCount: data.eval_count,
+        promptEvalCount: data.prompt_eval_count,
       }
-    } catch (err) {
-      if (err instanceof OllamaConnectionError || err instanceof OllamaResponseError) throw err;
-      if (config.debug) {
-        console.error(`[ollama] Ignoring trailing buffer: ${lineBuf.slice(0, 100)}`);
-      }
-    }
-  }
-
-  return { content: chunks.join(''), doneReason, totalDuration };
+      : null,
+  };
 }
 
 /**
- * Parse VLM response text as JSON with fallback extraction.
+ * Read a streaming NDJSON response from Ollama.
  *
- * Tries:
- *  1. Direct JSON.parse
- *  2. Fenced code block extraction (```json ... ```)
- *  3. First { ... } brace-matched extraction
- *  4. Returns raw text wrapped as fallback
- *
- * @param {string} text
- * @returns {Object}
+ * @param {Response} response
+ * @param {Object} config
+ * @returns {Promise<{ content: string, doneReason: string|null, totalDuration: number|null, stats: Object }>}
  */
-export function parseVlmJson(text) {
-  // Strip BOM, zero-width chars, and trim whitespace
-  const clean = text
-    .replace(/^\uFEFF/, '')
-    .replace(/[\u200B-\u200D\uFEFF\u00A0]/g, '')
-    .trim();
-
-  // Tier 1: direct parse
-  try { return JSON.parse(clean); } catch { /* continue */ }
-
-  // Tier 2: fenced code block
-  const fenced = clean.match(/```(?:json)?\s*([\s\S]*?)```/);
-  if (fenced) {
-    try { return JSON.parse(fenced[1].trim()); } catch { /* continue */ }
-  }
-
-  // Tier 3: first brace-matched object
-  const braced = clean.match(/\{[\s\S]*\}/);
-  if (braced) {
-    try { return JSON.parse(braced[0]); } catch { /* continue */ }
-  }
-
-  // Tier 4: try relaxed parse — strip control chars that break JSON.parse
-  const relaxed = clean.replace(/[\x00-\x1F\x7F]/g, m => m === '\n' || m === '\t' ? m : '');
-  const bracedRelaxed = relaxed.match(/\{[\s\S]*\}/);
-  if (bracedRelaxed) {
-    try { return JSON.parse(bracedRelaxed[0]); } catch { /* continue */ }
-  }
-
-  // Tier 5: return raw text as fallback — caller should check _raw flag
-  console.error(`[ollama] Warning: VLM response not parseable as JSON (${clean.length} chars). Returning raw text — issues may be missing.`);
-  return { issues: [], summary: text, _raw: true };
+function readStreamingResponse(response, config) {
+  return readStream(response, config, LABEL, line => parseLine(line, config));
 }
 
 /**
@@ -322,11 +72,11 @@ export function parseVlmJson(text) {
  */
 export async function healthCheck(config) {
   const url = `${config.ollamaUrl}/api/tags`;
-  const response = await ollamaFetch(url, {
+  const response = await providerFetch(url, {
     method: 'GET',
     headers: buildHeaders(config),
     signal: AbortSignal.timeout(10_000),
-  }, config);
+  }, config, LABEL);
 
   if (!response.ok) {
     if (response.status === 403) {
@@ -364,12 +114,12 @@ export async function prewarm(config) {
       options: { temperature: 0, num_predict: 8 },
     };
 
-    const response = await ollamaFetch(url, {
+    const response = await providerFetch(url, {
       method: 'POST',
       headers: buildHeaders(config),
       body: JSON.stringify(body),
       signal: AbortSignal.timeout(config.timeout),
-    }, config);
+    }, config, LABEL);
 
     if (!response.ok) {
       if (response.status === 404) {
@@ -396,10 +146,11 @@ export async function prewarm(config) {
  * @param {string} options.systemPrompt - System message (sets role, disables thinking)
  * @param {string} options.prompt - User message with review instructions
  * @param {Buffer[]} options.images - Screenshot buffers (PNG/JPEG)
- * @returns {Promise<Object>} Parsed VLM response
+ * @param {Object} [options.schema] - JSON Schema for the answer, sent as `format`
+ * @returns {Promise<Object>} Parsed VLM response, with `_telemetry` of the call (see telemetry.js)
  */
-export async function analyze({ config, systemPrompt, prompt, images }) {
-  return withRetry(async () => {
+export async function analyze({ config, systemPrompt, prompt, images, schema }) {
+  return withRetry(async (attempt) => {
     const url = `${config.ollamaUrl}/api/chat`;
     const base64Images = (images || []).filter(Boolean).map(buf => buf.toString('base64'));
 
@@ -425,6 +176,7 @@ export async function analyze({ config, systemPrompt, prompt, images }) {
         num_ctx: config.numCtx ?? 32768,
       },
     };
+    if (schema) body.format = schema;
 
     if (config.debug) {
       const sizes = images.map(b => `${(b.length / 1024).toFixed(0)}KB`);
@@ -434,11 +186,12 @@ export async function analyze({ config, systemPrompt, prompt, images }) {
     // No AbortSignal.timeout() here — the inter-chunk timer in
     // readStreamingResponse() handles idle timeouts correctly for streaming.
     // A total timeout would abort long-running analyses even with tokens flowing.
-    const response = await ollamaFetch(url, {
+    const started = Date.now();
+    const response = await providerFetch(url, {
       method: 'POST',
       headers: buildHeaders(config),
       body: JSON.stringify(body),
-    }, config);
+    }, config, LABEL);
 
     if (!response.ok) {
       if (response.status === 404) {
@@ -446,10 +199,15 @@ export async function analyze({ config, systemPrompt, prompt, images }) {
           `Model "${config.model}" not found. Run: ollama pull ${config.model}`
         );
       }
+      // Ollama before 0.5 only accepts format: "json"
+      if (response.status === 400 && schema) {
+        const detail = await response.text().catch(() => '');
+        throw new OllamaSchemaError(`Ollama rejected the JSON Schema format: ${detail.slice(0, 200)}`);
+      }
       throw new OllamaConnectionError(`Ollama analyze failed: HTTP ${response.status}`);
     }
 
-    const { content, doneReason, totalDuration } = await readStreamingResponse(response, config);
+    const { content, doneReason, totalDuration, stats } = await readStreamingResponse(response, config);
 
     if (doneReason === 'length') {
       console.error('[ollama] Warning: response truncated — consider increasing num_predict or num_ctx');
@@ -463,6 +221,10 @@ export async function analyze({ config, systemPrompt, prompt, images }) {
     }
 
     const cleaned = stripThinkTags(content);
-    return parseVlmJson(cleaned);
+    return {
+      ...parseVlmJson(cleaned),
+      _telemetry: callTelemetry({ stats, doneReason, retries: attempt, wallMs: Date.now() - started }),
+    };
   }, config);
 }
+
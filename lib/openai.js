@@ -0,0 +1,258 @@
+import { OllamaConnectionError, OllamaAuthError, OllamaModelError, OllamaResponseError, OllamaSchemaError } from './errors.js';
+import { buildHeaders, providerFetch, withRetry, readStream, stripThinkTags, parseVlmJson } from './transport.js';
+import { callTelemetry } from './telemetry.js';
+
+/**
+ * OpenAI-compatible HTTP client for VLM analysis (`provider: "openai"`).
+ *
+ * Targets servers that expose /v1/chat/completions — llama.cpp server,
+ * vLLM, LM Studio. Responses stream as server-sent events, so the same
+ * idle-timeout handling as the Ollama client applies.
+ */
+
+/** Server name for messages */
+export const LABEL = 'OpenAI-compatible server';
+
+/**
+ * Build an endpoint URL. Accepts a server URL with or without the /v1 suffix.
+ * @param {Object} config
+ * @param {string} path - e.g. '/chat/completions'
+ * @returns {string}
+ */
+function endpoint(config, path) {
+  const base = config.ollamaUrl.replace(/\/+$/, '').replace(/\/v1$/, '');
+  return `${base}/v1${path}`;
+}
+
+/**
+ * Request headers: CF Access credentials plus the bearer token, if set.
+ * @param {Object} config
+ * @returns {Object}
+ */
+function headers(config) {
+  const result = buildHeaders(config);
+  if (config.apiKey) result.Authorization = `Bearer ${config.apiKey}`;
+  return result;
+}
+
+/**
+ * Detect the MIME type of a screenshot buffer from its magic bytes.
+ * @param {Buffer} buf
+ * @returns {string}
+ */
+function imageType(buf) {
+  if (buf[0] === 0xFF && buf[1] === 0xD8) return 'image/jpeg';
+  if (buf.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+  return 'image/png';
+}
+
+/**
+ * Map a non-OK response to an error.
+ * @param {Response} response
+ * @param {Object} config
+ * @param {string} action - e.g. 'analyze'
+ * @param {boolean} [withSchema=false] - Whether the request carried a response_format schema
+ * @returns {Promise<Error>}
+ */
+async function responseError(response, config, action, withSchema = false) {
+  const body = await response.text().catch(() => '');
+  let message = body.slice(0, 300);
+  try {
+    message = JSON.parse(body).error?.message || message;
+  } catch { /* not JSON */ }
+
+  if (response.status === 401 || response.status === 403) {
+    return new OllamaAuthError(`${LABEL} returned HTTP ${response.status} — check OPENAI_API_KEY and CF Access credentials.`);
+  }
+  if (response.status === 404 && action !== 'health check') {
+    return new OllamaModelError(`Model "${config.model}" not found on ${LABEL}: ${message || 'HTTP 404'}`);
+  }
+  if ((response.status === 400 || response.status === 422) && withSchema) {
+    return new OllamaSchemaError(`${LABEL} rejected the JSON Schema response_format: ${message}`);
+  }
+  return new OllamaConnectionError(`${LABEL} ${action} failed: HTTP ${response.status}${message ? ` — ${message}` : ''}`);
+}
+
+/**
+ * Parse one server-sent event line from /v1/chat/completions.
+ *
+ * Data lines carry a chunk: data: {"choices":[{"delta":{"content":"token"},"finish_reason":null}]}
+ * The stream ends with: data: [DONE]
+ *
+ * @param {string} line
+ * @param {Object} config - app config (for debug logging)
+ * @returns {Object|null} Stream event for readStream()
+ */
+function parseLine(line, config) {
+  if (!line.startsWith('data:')) return null; // comments, event names, keep-alives
+  const payload = line.slice(5).trim();
+  if (payload === '[DONE]') return { done: { reason: 'stop' } };
+
+  let data;
+  try {
+    data = JSON.parse(payload);
+  } catch {
+    if (config.debug) {
+      console.error(`[openai] Skipping unparseable SSE line: ${line.slice(0, 100)}`);
+    }
+    return null;
+  }
+
+  // Server-side error — not retryable (deterministic)
+  if (data.error) {
+    throw new OllamaResponseError(`${LABEL} error: ${data.error.message || JSON.stringify(data.error)}`);
+  }
+
+  // Token usage arrives in a final chunk without choices (stream_options.include_usage)
+  const choice = data.choices?.[0];
+  return {
+    content: choice?.delta?.content || '',
+    thinking: Boolean(choice?.delta?.reasoning_content || choice?.delta?.reasoning),
+    done: choice?.finish_reason || data.usage
+      ? {
+        reason: choice?.finish_reason,
+        evalCount: data.usage?.completion_tokens,
+        promptEvalCount: data.usage?.prompt_tokens,
+      }
+      : null,
+  };
+}
+
+/**
+ * Read a streaming SSE response.
+ *
+ * `[DONE]` arrives after the chunk with finish_reason; readStream() keeps
+ * the first reason it sees, so the one from that chunk is kept.
+ *
+ * @param {Response} response
+ * @param {Object} config
+ * @returns {Promise<{ content: string, doneReason: string|null, totalDuration: number|null, stats: Object }>}
+ */
+function readStreamingResponse(response, config) {
+  return readStream(response, config, LABEL, line => parseLine(line, config));
+}
+
+/**
+ * Check server health by listing models (GET /v1/models).
+ *
+ * @param {Object} config - App config with ollamaUrl
+ * @returns {Promise<{ models: string[] }>} List of available model names
+ */
+export async function healthCheck(config) {
+  const response = await providerFetch(endpoint(config, '/models'), {
+    method: 'GET',
+    headers: headers(config),
+    signal: AbortSignal.timeout(10_000),
+  }, config, LABEL);
+
+  if (!response.ok) throw await responseError(response, config, 'health check');
+
+  const data = await response.json();
+  const models = (data.data || []).map(m => m.id);
+  return { models };
+}
+
+/**
+ * Prewarm the model with a tiny text-only completion, so servers that load
+ * models on demand (LM Studio, llama-swap) do it before the first review.
+ *
+ * @param {Object} config - App config with ollamaUrl, model
+ * @returns {Promise<void>}
+ */
+export async function prewarm(config) {
+  return withRetry(async () => {
+    const body = {
+      model: config.model,
+      messages: [{ role: 'user', content: 'Respond with "ready".' }],
+      stream: true,
+      temperature: 0,
+      max_tokens: 8,
+    };
+
+    const response = await providerFetch(endpoint(config, '/chat/completions'), {
+      method: 'POST',
+      headers: headers(config),
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(config.timeout),
+    }, config, LABEL);
+
+    if (!response.ok) throw await responseError(response, config, 'prewarm');
+
+    await readStreamingResponse(response, config);
+  }, config);
+}
+
+/**
+ * Analyze one or more images with a prompt via /v1/chat/completions.
+ * Images are sent inline as base64 data URLs.
+ *
+ * @param {Object} options
+ * @param {Object} options.config - App config
+ * @param {string} options.systemPrompt - System message
+ * @param {string} options.prompt - User message with review instructions
+ * @param {Buffer[]} options.images - Screenshot buffers (PNG/JPEG)
+ * @param {Object} [options.schema] - JSON Schema for the answer, sent as `response_format`
+ * @returns {Promise<Object>} Parsed VLM response, with `_telemetry` of the call (see telemetry.js)
+ */
+export async function analyze({ config, systemPrompt, prompt, images, schema }) {
+  return withRetry(async (attempt) => {
+    const imageParts = (images || []).filter(Boolean).map(buf => ({
+      type: 'image_url',
+      image_url: { url: `data:${imageType(buf)};base64,${buf.toString('base64')}` },
+    }));
+
+    const messages = [];
+    if (systemPrompt) {
+      messages.push({ role: 'system', content: systemPrompt });
+    }
+    messages.push({
+      role: 'user',
+      content: [{ type: 'text', text: prompt }, ...imageParts],
+    });
+
+    const body = {
+      model: config.model,
+      messages,
+      stream: true,
+      stream_options: { include_usage: true },
+      temperature: 0,
+      max_tokens: config.numPredict ?? 32768,
+    };
+    if (schema) {
+      body.response_format = { type: 'json_schema', json_schema: { name: 'ui_review', strict: true, schema } };
+    }
+
+    if (config.debug) {
+      const sizes = images.map(b => `${(b.length / 1024).toFixed(0)}KB`);
+      console.error(`[openai] analyze: model=${config.model} images=[${sizes.join(', ')}] prompt=${prompt.length}chars`);
+    }
+
+    // No total timeout — the inter-chunk timer in readStream() handles idle timeouts.
+    const started = Date.now();
+    const response = await providerFetch(endpoint(config, '/chat/completions'), {
+      method: 'POST',
+      headers: headers(config),
+      body: JSON.stringify(body),
+    }, config, LABEL);
+
+    if (!response.ok) throw await responseError(response, config, 'analyze', Boolean(schema));
+
+    const { content, doneReason, stats } = await readStreamingResponse(response, config);
+
+    if (doneReason === 'length') {
+      console.error('[openai] Warning: response truncated — consider increasing num_predict or the server context size');
+    } else if (doneReason === null && content.length > 0) {
+      console.error('[openai] Warning: response may be incomplete (no done marker received)');
+    }
+
+    if (config.debug) {
+      console.error(`[openai] analyze done: reason=${doneReason} duration=${((Date.now() - started) / 1000).toFixed(1)}s content=${content.length}chars`);
+    }
+
+    return {
+      ...parseVlmJson(stripThinkTags(content)),
+      _telemetry: callTelemetry({ stats, doneReason, retries: attempt, wallMs: Date.now() - started }),
+    };
+  }, config);
+}
+
@@ -0,0 +1,121 @@
+import { DEFAULT_PREPROCESS, IMAGE_FORMATS } from './config.js';
+import { drawImage } from './canvas.js';
+
+/**
+ * Image preprocessing before VLM submission.
+ *
+ * A 1920x1080 screenshot at deviceScaleFactor 2 is 3840x2160 pixels; the
+ * model spends context on pixels it then downsamples anyway. Images can be
+ * scaled down to `maxDimension`, re-encoded as JPEG or WebP, and padded
+ * (right and bottom, so the image keeps its aspect ratio and its origin).
+ * Each processed image records its scale and padding so boxes the model
+ * returns can be mapped back to the original screenshot (toOriginalBox()).
+ * The drawing is done by canvas.js.
+ */
+
+/** Qwen-VL sees images in 28x28 pixel patches (14px patches, merged 2x2) */
+const PATCH_SIZE = 28;
+
+/** Neutral gray: reads as empty space, not as page background */
+const PAD_COLOR = '#808080';
+
+/**
+ * Read the pixel size of a PNG from its header.
+ * @param {Buffer} png
+ * @returns {{ width: number, height: number }}
+ */
+export function pngSize(png) {
+  return { width: png.readUInt32BE(16), height: png.readUInt32BE(20) };
+}
+
+/**
+ * Canvas size for an image of `width` x `height` under a pad mode.
+ * @param {string} pad
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ width: number, height: number }}
+ */
+function paddedSize(pad, width, height) {
+  if (pad === 'square') {
+    const side = Math.max(width, height);
+    return { width: side, height: side };
+  }
+  if (pad === 'patch') {
+    const up = n => Math.ceil(n / PATCH_SIZE) * PATCH_SIZE;
+    return { width: up(width), height: up(height) };
+  }
+  return { width, height };
+}
+
+/**
+ * Prepare a PNG screenshot for the model.
+ *
+ * Images that need no change (default options, or already small enough
+ * PNGs without padding) are returned as they are, without a browser.
+ *
+ * @param {Buffer} png - PNG screenshot
+ * @param {Object} [options] - { maxDimension, format, quality, pad }, see DEFAULT_PREPROCESS
+ * @returns {Promise<{ buffer: Buffer, format: string, width: number, height: number, original: Object, scale: Object, padding: Object }>}
+ *   width/height are the processed image's size including padding; `scale` is
+ *   `{ x, y }`, processed/original pixels; `padding` is `{ right, bottom }` in processed pixels
+ */
+export async function preprocessImage(png, options = {}) {
+  const { maxDimension, format, quality, pad } = { ...DEFAULT_PREPROCESS, ...options };
+  const original = pngSize(png);
+
+  const scale = maxDimension ? Math.min(1, maxDimension / Math.max(original.width, original.height)) : 1;
+  const width = Math.max(1, Math.round(original.width * scale));
+  const height = Math.max(1, Math.round(original.height * scale));
+  const canvas = paddedSize(pad, width, height);
+  const padding = { right: canvas.width - width, bottom: canvas.height - height };
+  const prepared = {
+    format,
+    width: canvas.width,
+    height: canvas.height,
+    original,
+    scale: { x: Number((width / original.width).toFixed(4)), y: Number((height / original.height).toFixed(4)) },
+    padding,
+  };
+
+  if (scale === 1 && format === 'png' && !padding.right && !padding.bottom) {
+    return { ...prepared, buffer: png };
+  }
+
+  const buffer = await drawImage(png, {
+    width: canvas.width,
+    height: canvas.height,
+    imageWidth: width,
+    imageHeight: height,
+    background: PAD_COLOR,
+    mimeType: IMAGE_FORMATS[format],
+    quality,
+  });
+  return { ...prepared, buffer };
+}
+
+/**
+ * Whether preprocessing options change anything.
+ *
+ * @param {Object} [options]
+ * @returns {boolean}
+ */
+export function isPreprocessing(options) {
+  const { maxDimension, format, pad } = { ...DEFAULT_PREPROCESS, ...options };
+  return Boolean(maxDimension) || format !== 'png' || pad !== 'none';
+}
+
+/**
+ * Map a box in fractions of a processed image back to fractions of the
+ * original screenshot. Scaling cancels out in fractions; padding doesn't.
+ *
+ * @param {number[]} box - [x1, y1, x2, y2], fractions of the processed image
+ * @param {Object} prepared - From preprocessImage()
+ * @returns {number[]|null} null when the box lies entirely in the padding
+ */
+export function toOriginalBox(box, prepared) {
+  const fx = prepared.width / (prepared.width - prepared.padding.right);
+  const fy = prepared.height / (prepared.height - prepared.padding.bottom);
+  const [x1, y1, x2, y2] = [box[0] * fx, box[1] * fy, box[2] * fx, box[3] * fy]
+    .map(v => Number(Math.min(1, v).toFixed(4)));
+  return x2 > x1 && y2 > y1 ? [x1, y1, x2, y2] : null;
+}
@@ -0,0 +1,161 @@
+import { OllamaSchemaError } from './errors.js';
+import * as ollama from './ollama.js';
+import * as openai from './openai.js';
+import { validateProvider } from './config.js';
+import { cacheKey, readCache, writeCache, DEFAULT_CACHE_DIR } from './cache.js';
+import { withHost, eachHost, resolveHosts } from './hosts.js';
+
+/**
+ * VLM provider selection.
+ *
+ * `config.provider` picks the wire protocol: "ollama" for Ollama's
+ * /api/chat, "openai" for OpenAI-compatible /v1/chat/completions servers
+ * (llama.cpp server, vLLM, LM Studio). Both share retry, idle-timeout and
+ * CF Access handling from transport.js, and requests are spread over
+ * `config.hosts` by hosts.js.
+ */
+
+export const PROVIDERS = { ollama, openai };
+
+/** Servers (provider, URL, model) that rejected a JSON Schema; asked without one from then on */
+const schemaUnsupported = new Set();
+
+/**
+ * The schema a request to this host's server would carry: null when it is
+ * off or the server rejected schemas before.
+ *
+ * @param {Object} [schema]
+ * @param {Object} config - Config of one host (see withHost())
+ * @returns {Object|null}
+ */
+function schemaFor(schema, config) {
+  if (!schema || config.structuredOutput === false) return null;
+  return schemaUnsupported.has(serverOf(config)) ? null : schema;
+}
+
+/** @returns {string} Key of a server in schemaUnsupported */
+function serverOf(config) {
+  return `${config.provider}|${config.ollamaUrl}|${config.model}`;
+}
+
+/**
+ * @param {Object} config
+ * @returns {{ healthCheck: Function, prewarm: Function, analyze: Function }}
+ */
+function providerFor(config) {
+  const name = config.provider || 'ollama';
+  validateProvider(name);
+  return PROVIDERS[name];
+}
+
+/**
+ * Server name for progress and status messages, e.g. "Ollama".
+ *
+ * @param {Object} config
+ * @returns {string}
+ */
+export function providerLabel(config) {
+  return providerFor(config).LABEL;
+}
+
+/**
+ * Check the health of every host and list available models.
+ *
+ * Unreachable hosts are taken out of rotation; the check only fails when
+ * no host answers.
+ *
+ * @param {Object} config
+ * @returns {Promise<{ models: string[], hosts: Array<{ url: string, ok: boolean, models?: string[], error?: string }> }>}
+ *   models is the union over healthy hosts
+ */
+export async function healthCheck(config) {
+  const provider = providerFor(config);
+  const outcomes = await eachHost(config, hostConfig => provider.healthCheck(hostConfig), { all: true });
+  const hosts = outcomes.map(({ value, ...outcome }) => ({ ...outcome, ...(value && { models: value.models }) }));
+  return { models: [...new Set(hosts.flatMap(host => host.models || []))], hosts };
+}
+
+/**
+ * Load the model on every healthy host before the first review.
+ *
+ * @param {Object} config
+ * @returns {Promise<void>}
+ */
+export async function prewarm(config) {
+  const provider = providerFor(config);
+  await eachHost(config, hostConfig => provider.prewarm(hostConfig));
+}
+
+/**
+ * Analyze images with a prompt; see ollama.js / openai.js.
+ *
+ * Answers are looked up in and stored to the on-disk cache (see cache.js)
+ * unless `config.cache` is false. Cached answers are returned with
+ * `_cached: true`; unparseable (`_raw`) answers are never stored, and neither
+ * is the `_telemetry` of the call that produced an answer.
+ *
+ * With `schema`, the server constrains its answer to the JSON Schema. Servers
+ * without structured-output support are asked again without it (and without
+ * it for the rest of the run), and `config.structuredOutput: false` never
+ * sends it; parseVlmJson() then recovers JSON from free-form text.
+ * `onSchemaFallback` is called with (model, error) when that happens.
+ * Answers are cached under the schema actually sent, so one given without
+ * it isn't returned later for a request that carries it.
+ *
+ * @param {Object} options - { config, systemPrompt, prompt, images, schema?, onSchemaFallback? }
+ * @returns {Promise<Object>} Parsed VLM response
+ */
+export async function analyze({ schema, ...options }) {
+  const { config } = options;
+  if (config.cache === false) return (await analyzeOnHost(schema, options)).response;
+
+  const dir = config.cacheDir || DEFAULT_CACHE_DIR;
+  // Any host may answer, so look under the schema each of them would be sent
+  const sent = new Set(resolveHosts(config).map(host => schemaFor(schema, { ...config, ollamaUrl: host.url })));
+  for (const candidate of sent) {
+    const cached = readCache(dir, cacheKey({ ...options, schema: candidate }));
+    if (cached) return { ...cached, _cached: true };
+  }
+
+  const { response, schema: sentSchema } = await analyzeOnHost(schema, options);
+  const { _telemetry, ...answer } = response;
+  const key = cacheKey({ ...options, schema: sentSchema });
+  if (!response._raw && !writeCache(dir, key, answer, { model: config.model }) && config.debug) {
+    console.error(`[cache] Could not write ${dir}`);
+  }
+  return response;
+}
+
+/**
+ * Call the provider on a host from the pool (see hosts.js).
+ *
+ * @param {Object} [schema]
+ * @param {Object} options - { config, systemPrompt, prompt, images }
+ * @returns {Promise<{ response: Object, schema: Object|null }>} The answer and the schema sent with it
+ */
+function analyzeOnHost(schema, options) {
+  return withHost(options.config, config => analyzeWithSchema(schema, { ...options, config }));
+}
+
+/**
+ * Call the provider, with structured-output fallback.
+ *
+ * @param {Object} [schema]
+ * @param {Object} options - { config, systemPrompt, prompt, images, onSchemaFallback? }
+ * @returns {Promise<{ response: Object, schema: Object|null }>}
+ */
+async function analyzeWithSchema(schema, options) {
+  const { config, onSchemaFallback } = options;
+  const provider = providerFor(config);
+  const sent = schemaFor(schema, config);
+  if (!sent) return { response: await provider.analyze(options), schema: null };
+
+  try {
+    return { response: await provider.analyze({ ...options, schema: sent }), schema: sent };
+  } catch (err) {
+    if (!(err instanceof OllamaSchemaError)) throw err;
+    schemaUnsupported.add(serverOf(config));
+    onSchemaFallback?.(config.model, err);
+    return { response: await provider.analyze(options), schema: null };
+  }
+}
@@ -1,4 +1,8 @@
 import { writeFileSync } from 'node:fs';
+import { describeRuntime } from './runtime.js';
+import { formatVitals } from './vitals.js';
+import { formatTelemetry } from './telemetry.js';
+import { formatVerification } from './verify.js';
 
 const SEVERITY_ORDER = { critical: 0, warning: 1, suggestion: 2 };
 const SEVERITY_BADGES = { critical: 'CRITICAL', warning: 'WARNING', suggestion: 'suggestion' };
@@ -10,21 +14,89 @@ const SEVERITY_BADGES = { critical: 'CRITICAL', warning: 'WARNING', suggestion:
 const SEVERITIES = new Set(['critical', 'warning', 'suggestion']);
 const CATEGORIES = new Set([
   'layout', 'typography', 'components', 'spacing',
-  'visual-hierarchy', 'accessibility', 'responsive-fit',
+  'visual-hierarchy', 'accessibility', 'responsive-fit', 'loading',
 ]);
 
+/** Max issues kept per analyzed image */
+const MAX_ISSUES = 10;
+
+/** Coordinate range of boxes in Qwen-VL grounding output (0-1000 per axis) */
+const BOX_SCALE = 1000;
+
+/** Minimum box overlap (IoU) within the band two tiles share for same-category issues to be one issue */
+const TILE_DUPLICATE_OVERLAP = 0.5;
+
+/**
+ * JSON Schema of a VLM review answer, derived from the issue model above.
+ * Sent as the structured-output format so the server constrains decoding
+ * to valid JSON; sanitizeResult() still validates the answer.
+ */
+export const REVIEW_SCHEMA = {
+  type: 'object',
+  properties: {
+    issues: {
+      type: 'array',
+      maxItems: MAX_ISSUES,
+      items: {
+        type: 'object',
+        properties: {
+          severity: { type: 'string', enum: [...SEVERITIES] },
+          category: { type: 'string', enum: [...CATEGORIES] },
+          location: { type: 'string' },
+          description: { type: 'string' },
+          recommendation: { type: 'string' },
+          box: { type: ['array', 'null'], items: { type: 'number' }, minItems: 4, maxItems: 4 },
+        },
+        required: ['severity', 'category', 'location', 'description', 'recommendation', 'box'],
+        additionalProperties: false,
+      },
+    },
+    summary: { type: 'string' },
+  },
+  required: ['issues', 'summary'],
+  additionalProperties: false,
+};
+
+/**
+ * Sort issues by severity, most severe first.
+ *
+ * @param {Array} issues
+ * @returns {Array} New sorted array
+ */
+export function sortIssues(issues) {
+  return [...issues].sort((a, b) => (SEVERITY_ORDER[a.severity] ?? 9) - (SEVERITY_ORDER[b.severity] ?? 9));
+}
+
+/**
+ * Normalize an issue's bounding box to [x1, y1, x2, y2] fractions (0-1) of
+ * the image. The prompts ask for 0-1000 grounding coordinates, so every box
+ * is divided by BOX_SCALE; boxes that are malformed or empty after clamping
+ * are dropped.
+ *
+ * @param {*} box
+ * @returns {number[]|null}
+ */
+function sanitizeBox(box) {
+  if (!Array.isArray(box) || box.length !== 4 || !box.every(Number.isFinite)) return null;
+  const [x1, y1, x2, y2] = box.map(v => Math.min(1, Math.max(0, v / BOX_SCALE)));
+  if (x2 <= x1 || y2 <= y1) return null;
+  return [x1, y1, x2, y2].map(v => Number(v.toFixed(4)));
+}
+
 function sanitizeIssue(issue) {
   if (!issue || typeof issue !== 'object') return null;
   if (typeof issue.description !== 'string' || !issue.description) return null;
   if (!SEVERITIES.has(issue.severity)) return null;
   if (!CATEGORIES.has(issue.category)) return null;
 
+  const box = sanitizeBox(issue.box);
   return {
     severity: issue.severity,
     category: issue.category,
     location: typeof issue.location === 'string' ? issue.location : 'unknown',
     description: issue.description,
     recommendation: typeof issue.recommendation === 'string' ? issue.recommendation : '',
+    ...(box && { box }),
   };
 }
 
@@ -32,26 +104,121 @@ function sanitizeIssue(issue) {
  * Sanitize and validate a full review result from VLM output.
  *
  * @param {Object} data - Raw parsed VLM response
- * @param {Object} meta - { url, viewport }
+ * @param {Object} meta - { url, viewport, engine, state?, emulation? }
  * @returns {Object} Sanitized review result
  */
 export function sanitizeResult(data, meta = {}) {
   const rawIssues = Array.isArray(data?.issues) ? data.issues : [];
-  const issues = rawIssues
-    .map(sanitizeIssue)
-    .filter(Boolean)
-    .slice(0, 10)
-    .sort((a, b) => (SEVERITY_ORDER[a.severity] ?? 9) - (SEVERITY_ORDER[b.severity] ?? 9));
+  const issues = sortIssues(rawIssues.map(sanitizeIssue).filter(Boolean).slice(0, MAX_ISSUES));
 
   return {
     url: meta.url || '',
     viewport: meta.viewport || '',
+    engine: meta.engine || 'chromium',
+    ...(meta.state && { state: meta.state }),
+    ...(meta.emulation && { emulation: meta.emulation }),
     issues,
     summary: typeof data?.summary === 'string' ? data.summary : '',
     _raw: data?._raw || false,
   };
 }
 
+/**
+ * Overlap (intersection over union, 0-1) of two [x1, y1, x2, y2] boxes.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export function boxOverlap(a, b) {
+  const w = Math.min(a[2], b[2]) - Math.max(a[0], b[0]);
+  const h = Math.min(a[3], b[3]) - Math.max(a[1], b[1]);
+  if (w <= 0 || h <= 0) return 0;
+  const area = box => (box[2] - box[0]) * (box[3] - box[1]);
+  return (w * h) / (area(a) + area(b) - w * h);
+}
+
+/**
+ * Whether two same-category issues from different tiles are the same issue
+ * seen twice: their page boxes, cut to the band both tiles show, overlap by
+ * at least TILE_DUPLICATE_OVERLAP.
+ *
+ * @param {{ issue: Object, tile: Object }} a - Merged issue (page box) and its tile
+ * @param {{ issue: Object, tile: Object }} b
+ * @param {number} pageHeight
+ * @returns {boolean}
+ */
+function isTileDuplicate(a, b, pageHeight) {
+  if (a.issue.category !== b.issue.category || !a.issue.box || !b.issue.box) return false;
+  const top = Math.max(a.tile.y, b.tile.y) / pageHeight;
+  const bottom = Math.min(a.tile.y + a.tile.height, b.tile.y + b.tile.height) / pageHeight;
+  if (bottom <= top) return false;
+  const inBand = ([x1, y1, x2, y2]) => [x1, Math.max(y1, top), x2, Math.min(y2, bottom)];
+  return boxOverlap(inBand(a.issue.box), inBand(b.issue.box)) >= TILE_DUPLICATE_OVERLAP;
+}
+
+/**
+ * Merge per-tile review results of a full-page capture into one result.
+ *
+ * Issue locations are prefixed with the tile they were found in, boxes are
+ * converted from tile to whole-page fractions, and issues reported twice in
+ * the overlap between neighbouring tiles are collapsed: same category and
+ * description, or same category and boxes that overlap within the band
+ * both tiles show (see isTileDuplicate()). The first report is kept.
+ *
+ * @param {Array<{ tile: Object, result: Object }>} tileResults - Sanitized result per tile
+ * @param {Object} meta - { url, viewport, engine, state?, emulation?, pageHeight }
+ * @returns {Object} Sanitized review result covering the whole page
+ */
+export function mergeTileResults(tileResults, meta = {}) {
+  const seen = new Set();
+  const placed = [];
+  const summaries = [];
+  const rawSummaries = [];
+
+  for (const { tile, result } of tileResults) {
+    const label = `Tile ${tile.index + 1}/${tileResults.length} (y=${tile.y}-${tile.y + tile.height}px)`;
+    if (result.summary) (result._raw ? rawSummaries : summaries).push(`${label}: ${result.summary}`);
+
+    for (const issue of result.issues) {
+      const dedupeKey = `${issue.category}::${issue.description.toLowerCase()}`;
+      if (seen.has(dedupeKey)) continue;
+      const merged = { ...issue, location: `${label}: ${issue.location}`, tile: tile.index };
+      if (issue.box && meta.pageHeight) {
+        const [x1, y1, x2, y2] = issue.box;
+        const toPage = y => Number(Math.min(1, (tile.y + y * tile.height) / meta.pageHeight).toFixed(4));
+        merged.box = [x1, toPage(y1), x2, toPage(y2)];
+      } else {
+        delete merged.box;
+      }
+      const entry = { issue: merged, tile };
+      if (placed.some(other => other.tile !== tile && isTileDuplicate(other, entry, meta.pageHeight))) continue;
+      seen.add(dedupeKey);
+      placed.push(entry);
+    }
+  }
+
+  const issues = placed.map(({ issue }) => issue);
+  issues.sort((a, b) => (SEVERITY_ORDER[a.severity] ?? 9) - (SEVERITY_ORDER[b.severity] ?? 9));
+
+  // Only surface raw text when no tile produced structured output
+  const raw = tileResults.length > 0 && tileResults.every(({ result }) => result._raw);
+
+  return {
+    url: meta.url || '',
+    viewport: meta.viewport || '',
+    engine: meta.engine || 'chromium',
+    ...(meta.state && { state: meta.state }),
+    ...(meta.emulation && { emulation: meta.emulation }),
+    issues,
+    summary: (raw ? rawSummaries : summaries).join('\n'),
+    fullPage: true,
+    pageHeight: meta.pageHeight || 0,
+    tiles: tileResults.length,
+    ...(tileResults[0]?.result.models && { models: tileResults[0].result.models }),
+    _raw: raw,
+  };
+}
+
 /**
  * Format a review result as JSON.
  *
@@ -73,6 +240,27 @@ export function formatText(result) {
 
   lines.push(`UI Review: ${result.url}`);
   lines.push(`Viewport: ${result.viewport}`);
+  lines.push(`Engine: ${result.engine}`);
+  if (result.state) lines.push(`State: ${result.state}`);
+  if (result.emulation) lines.push(`Emulation: ${result.emulation}`);
+  if (result.component) lines.push(`Component: ${result.component}`);
+  if (result.models) lines.push(`Models: ${result.models.join(', ')}`);
+  if (result.fullPage) {
+    lines.push(`Full page: ${result.pageHeight}px in ${result.tiles} tile(s)`);
+  }
+  if (result.throttling) lines.push(`Throttling: ${result.throttling}`);
+  if (result.loading) {
+    const frames = result.loading.map(frame => `${(frame.elapsed / 1000).toFixed(1)}s`);
+    lines.push(`Loading: ${[...frames, 'final'].join(', ')}`);
+  }
+  if (result.vitals) lines.push(`Vitals: ${formatVitals(result.vitals)}`);
+  if (result.cache) lines.push(`Cache: ${result.cache === 'hit' ? 'hit (answer reused)' : 'partial (some answers reused)'}`);
+  if (result.telemetry) lines.push(`Telemetry: ${formatTelemetry(result.telemetry)}`);
+  if (result.verification) lines.push(`Verification (${result.verification.mode}): ${formatVerification(result.verification)}`);
+  if (result.preprocess) {
+    const { width, height, format, scale, original } = result.preprocess;
+    lines.push(`Model image: ${width}x${height} ${format} from ${original.width}x${original.height} (scale ${scale.x})`);
+  }
   lines.push('─'.repeat(60));
 
   if (result.summary) {
@@ -86,16 +274,30 @@ export function formatText(result) {
 
     for (const [i, issue] of result.issues.entries()) {
       const badge = SEVERITY_BADGES[issue.severity] || issue.severity;
-      lines.push(`  ${i + 1}. [${badge}] [${issue.category}]`);
+      const agreement = issue.agreement ? ` [${issue.agreement}/${result.models.length} models]` : '';
+      const rejected = issue.verification?.verdict === 'rejected';
+      lines.push(`  ${i + 1}. [${badge}] [${issue.category}]${agreement}${rejected ? ' [unverified]' : ''}`);
       lines.push(`     Location: ${issue.location}`);
       lines.push(`     ${issue.description}`);
       if (issue.recommendation) {
         lines.push(`     Fix: ${issue.recommendation}`);
       }
+      if (rejected && issue.verification.reason) {
+        lines.push(`     Not confirmed: ${issue.verification.reason}`);
+      }
       lines.push('');
     }
   }
 
+  if (result.runtime?.length) {
+    if (result.issues.length === 0) lines.push('');
+    lines.push(`Runtime (${result.runtime.length}):`);
+    for (const finding of result.runtime) {
+      lines.push(`  ${describeRuntime(finding)}`);
+    }
+    lines.push('');
+  }
+
   if (result._raw) {
     lines.push('\nNote: VLM response could not be parsed as structured JSON. Results may be incomplete.');
   }
@@ -0,0 +1,335 @@
+import { analyze } from './provider.js';
+import { parseVlmJson } from './transport.js';
+import { loadPrompt } from './prompts.js';
+import { sanitizeResult, mergeTileResults, sortIssues, REVIEW_SCHEMA } from './report.js';
+import { ENGINE_LABELS } from './config.js';
+import { describeEmulation } from './emulation.js';
+import { formatDigest } from './digest.js';
+import { sortRuntime } from './runtime.js';
+import { checkBudgets } from './vitals.js';
+import { describeThrottling } from './throttling.js';
+import { reviewModels, mergeModelResults } from './ensemble.js';
+import { cacheStatus } from './cache.js';
+import { combineTelemetry } from './telemetry.js';
+import { preprocessImage, isPreprocessing, toOriginalBox } from './preprocess.js';
+import { verifyIssues, combineVerification, isVerifying } from './verify.js';
+
+/**
+ * Analyze one screenshot with one model and return a sanitized result.
+ *
+ * The answer is constrained to REVIEW_SCHEMA where the server supports it.
+ * When the VLM still answers with prose instead of JSON, first re-parses the
+ * text and then asks the model to reformat its own answer before giving up.
+ * Answers served from the analysis cache are marked `cache: 'hit'`; other
+ * results carry the `telemetry` of their model calls.
+ *
+ * @param {Object} options
+ * @param {Object} options.config - App config
+ * @param {string} options.systemPrompt - System message
+ * @param {string} options.prompt - Rendered review prompt
+ * @param {Buffer[]} options.images - Screenshot buffers
+ * @param {Object} options.meta - { url, viewport, engine } for sanitizeResult
+ * @param {Function} [options.onReformat] - Called before the reformat VLM pass
+ * @param {Function} [options.onSchemaFallback] - Called with (model, error) when the server rejects structured output
+ * @returns {Promise<Object>} Sanitized review result
+ */
+async function analyzeWithModel({ config, systemPrompt, prompt, images, meta, onReformat, onSchemaFallback }) {
+  const raw = await analyze({ config, systemPrompt, prompt, images, schema: REVIEW_SCHEMA, onSchemaFallback });
+  let result = sanitizeResult(raw, meta);
+  if (raw._cached) return { ...result, cache: 'hit' };
+  const calls = [raw._telemetry];
+
+  // Fallback 1: try re-parsing the summary text as JSON
+  if (result._raw && result.summary) {
+    const retried = parseVlmJson(result.summary);
+    if (!retried._raw) {
+      result = sanitizeResult(retried, meta);
+    }
+  }
+
+  // Fallback 2: send raw text back through VLM for JSON reformatting
+  if (result._raw && result.summary) {
+    onReformat?.();
+
+    try {
+      const reformatPrompt = loadPrompt('reformat', { rawText: result.summary });
+      const reformatted = await analyze({
+        config,
+        systemPrompt: 'You convert UI review text into structured JSON. Respond only with valid JSON.',
+        prompt: reformatPrompt,
+        images: [],
+        schema: REVIEW_SCHEMA,
+        onSchemaFallback,
+      });
+      calls.push(reformatted._telemetry);
+      const parsed = parseVlmJson(typeof reformatted === 'string' ? reformatted : JSON.stringify(reformatted));
+      if (!parsed._raw && Array.isArray(parsed.issues)) {
+        result = sanitizeResult(parsed, meta);
+      }
+    } catch { /* keep original _raw result */ }
+  }
+
+  const telemetry = combineTelemetry(calls);
+  return telemetry ? { ...result, telemetry } : result;
+}
+
+/**
+ * Analyze with one model and, with `config.verify`, have the same model
+ * check each issue it reported (see verify.js).
+ *
+ * @param {Object} options - As for analyzeWithModel()
+ * @param {Function} [options.onVerify] - Called with the issue count before the verification pass
+ * @returns {Promise<Object>} Sanitized review result
+ */
+async function analyzeAndVerify({ onVerify, ...options }) {
+  const result = await analyzeWithModel(options);
+  if (!isVerifying(options.config) || !result.issues.length) return result;
+  onVerify?.(result.issues.length);
+  return verifyIssues(result, options);
+}
+
+/**
+ * Add the combined cache status, telemetry and verification counts of the
+ * analyses behind a merged result (ensemble models, full-page tiles).
+ *
+ * @param {Object} merged - Merged review result
+ * @param {Object[]} results - Results of the individual analyses
+ * @returns {Object}
+ */
+function withAnalysisStats({ cache, telemetry, verification, ...merged }, results) {
+  const status = cacheStatus(results);
+  const combined = combineTelemetry(results.map(result => result.telemetry));
+  const verified = combineVerification(results.map(result => result.verification));
+  const preprocess = results[0]?.preprocess;
+  return {
+    ...merged,
+    ...(status && { cache: status }),
+    ...(combined && { telemetry: combined }),
+    ...(verified && { verification: verified }),
+    ...(preprocess && { preprocess }),
+  };
+}
+
+/**
+ * Analyze one screenshot and return a sanitized result.
+ *
+ * Images go through `config.preprocess` first (see preprocess.js). Boxes in
+ * the answer refer to the last image; they are mapped back to the original
+ * screenshot, and the result records how that image was processed as
+ * `preprocess`. With several `config.models`, every model analyzes the
+ * screenshot in turn and the answers are merged (see ensemble.js). With
+ * `config.verify`, each model checks its own issues before the merge.
+ *
+ * @param {Object} options - As for analyzeWithModel()
+ * @param {Function} [options.onModel] - Called with (model, index, modelCount) before each model of an ensemble
+ * @returns {Promise<Object>} Sanitized review result
+ */
+export async function analyzeScreenshot({ config, onModel, images, ...options }) {
+  if (!isPreprocessing(config.preprocess)) {
+    return analyzeWithModels({ ...options, config, onModel, images });
+  }
+
+  // One at a time: each image is processed in a pooled browser
+  const prepared = [];
+  for (const image of images) prepared.push(await preprocessImage(image, config.preprocess));
+  const result = await analyzeWithModels({ ...options, config, onModel, images: prepared.map(p => p.buffer) });
+
+  const { buffer, ...last } = prepared.at(-1);
+  const issues = result.issues.map(({ box, ...issue }) => {
+    const mapped = box && toOriginalBox(box, last);
+    return mapped ? { ...issue, box: mapped } : issue;
+  });
+  return { ...result, issues, preprocess: last };
+}
+
+/**
+ * Analyze prepared images with every review model and merge the answers.
+ *
+ * @param {Object} options - As for analyzeScreenshot()
+ * @returns {Promise<Object>} Sanitized review result
+ */
+async function analyzeWithModels({ config, onModel, ...options }) {
+  const models = reviewModels(config);
+  if (models.length === 1) {
+    return analyzeAndVerify({ ...options, config: { ...config, model: models[0] } });
+  }
+
+  const modelResults = [];
+  for (const [i, model] of models.entries()) {
+    onModel?.(model, i, models.length);
+    modelResults.push({ model, result: await analyzeAndVerify({ ...options, config: { ...config, model } }) });
+  }
+  return withAnalysisStats(mergeModelResults(modelResults), modelResults.map(({ result }) => result));
+}
+
+/**
+ * Tell the model which regions were masked, hidden or padded on purpose.
+ *
+ * @param {Object} [masking] - { mask, hide, color } from captureScreenshot
+ * @param {Object} [preprocess] - config.preprocess; padding adds a gray band
+ * @returns {string}
+ */
+function describeMasking(masking, preprocess) {
+  const padded = preprocess?.pad && preprocess.pad !== 'none';
+  if (!masking && !padded) return 'none';
+
+  const parts = [];
+  if (padded) {
+    parts.push('a flat gray band along the right or bottom edge may be padding added to the image, not part of the page');
+  }
+  if (masking?.mask.length) {
+    parts.push(`solid magenta (${masking.color}) boxes cover dynamic content (${masking.mask.join(', ')})`);
+  }
+  if (masking?.hide.length) {
+    parts.push(`some elements were hidden, leaving empty space (${masking.hide.join(', ')})`);
+  }
+  return `${parts.join('; ')}. This is intentional: do NOT report masked boxes, hidden elements or the gaps they leave`;
+}
+
+/**
+ * Review a capture from captureScreenshot().
+ *
+ * Viewport captures are analyzed in one call, component captures with a
+ * component-focused prompt. Captures with loading frames are analyzed in one
+ * call with all frames plus the final screenshot and a loading-focused prompt,
+ * instead of the regular review. Full-page captures are analyzed tile by tile
+ * (each prompt carries the tile's scroll offset) and merged into a single result.
+ * Runtime findings of the capture (console errors, failed requests) are
+ * attached to the result as `runtime`, load metrics as `vitals`; metrics over
+ * `config.budgets` are added as synthetic performance issues. With several
+ * `config.models`, each analysis runs on every model and is merged; with
+ * `config.verify`, each model checks its issues in a second pass. The
+ * result's `telemetry` combines the capture time and all model calls.
+ *
+ * @param {Object} options
+ * @param {Object} options.config - App config
+ * @param {Object} options.capture - { buffer, tiles, pageHeight, captureMs, component?, masking?, digest?, throttling?, loading? } from captureScreenshot
+ * @param {string} options.systemPrompt - System message
+ * @param {Object} options.promptVars - { url, viewport, viewportWidth, viewportHeight }
+ * @param {string} [options.engine='chromium'] - Engine that rendered the capture
+ * @param {Object} [options.state] - Named page state { name, description } the capture shows, if any
+ * @param {Object} [options.emulation] - Emulation profile { name, settings } the capture was taken with, if any
+ * @param {Function} [options.onTile] - Called with (tile, tileCount) before each tile is analyzed
+ * @param {Function} [options.onReformat] - Called before a reformat VLM pass
+ * @param {Function} [options.onVerify] - Called with the issue count before a verification pass
+ * @param {Function} [options.onModel] - Called with (model, index, modelCount) before each model of an ensemble
+ * @param {Function} [options.onSchemaFallback] - Called with (model, error) when the server rejects structured output
+ * @returns {Promise<Object>} Sanitized review result
+ */
+export async function reviewCapture({ config, capture, systemPrompt, promptVars, engine = 'chromium', state, emulation, onTile, onReformat, onVerify, onModel, onSchemaFallback }) {
+  const meta = { url: promptVars.url, viewport: promptVars.viewport, engine, state: state?.name, emulation: emulation?.name };
+  promptVars = {
+    ...promptVars,
+    engine: ENGINE_LABELS[engine],
+    state: state ? `"${state.name}"${state.description ? ` (${state.description})` : ''}, reached by scripted interactions` : 'default',
+    emulation: describeEmulation(emulation?.settings),
+    network: describeThrottling(capture.throttling),
+    masking: describeMasking(capture.masking, config.preprocess),
+    digest: formatDigest(capture.digest),
+  };
+
+  // Findings measured during load rather than seen by the model
+  const withLoadFindings = (result) => {
+    if (capture.captureMs !== undefined) result = { ...result, telemetry: { captureMs: capture.captureMs, ...result.telemetry } };
+    if (capture.throttling) result = { ...result, throttling: capture.throttling };
+    if (capture.runtime) result = { ...result, runtime: sortRuntime(capture.runtime) };
+    if (capture.vitals) {
+      const budgetIssues = checkBudgets(capture.vitals, config.budgets);
+      result = { ...result, vitals: capture.vitals, issues: sortIssues([...result.issues, ...budgetIssues]) };
+    }
+    return result;
+  };
+
+  if (capture.loading?.length) {
+    const frames = capture.loading;
+    const timeline = [
+      ...frames.map((frame, i) => `image ${i + 1} at ${(frame.elapsed / 1000).toFixed(1)}s`),
+      `image ${frames.length + 1} final`,
+    ].join(', ');
+    const result = await analyzeScreenshot({
+      config,
+      systemPrompt,
+      prompt: loadPrompt('review-loading', { ...promptVars, frameCount: frames.length + 1, timeline }),
+      images: [...frames.map(frame => frame.buffer), capture.buffer],
+      meta,
+      onReformat,
+      onVerify,
+      onModel,
+      onSchemaFallback,
+    });
+    // Boxes can't say which frame they belong to
+    const issues = result.issues.map(({ box, ...issue }) => issue);
+    return withLoadFindings({ ...result, issues, loading: frames.map(({ at, elapsed }) => ({ at, elapsed })) });
+  }
+
+  if (capture.component) {
+    const result = await analyzeScreenshot({
+      config,
+      systemPrompt,
+      prompt: loadPrompt('review-component', {
+        ...promptVars,
+        selector: capture.component.selector,
+        componentWidth: capture.component.width,
+        componentHeight: capture.component.height,
+        padding: capture.component.padding,
+      }),
+      images: [capture.buffer],
+      meta,
+      onReformat,
+      onVerify,
+      onModel,
+      onSchemaFallback,
+    });
+    return withLoadFindings({ ...result, component: capture.component.selector });
+  }
+
+  if (!capture.tiles) {
+    return withLoadFindings(await analyzeScreenshot({
+      config,
+      systemPrompt,
+      prompt: loadPrompt('review', promptVars),
+      images: [capture.buffer],
+      meta,
+      onReformat,
+      onVerify,
+      onModel,
+      onSchemaFallback,
+    }));
+  }
+
+  const tileResults = [];
+  for (const [i, tile] of capture.tiles.entries()) {
+    onTile?.(tile, capture.tiles.length);
+    // The last tile is moved up to end at the page bottom, so it can overlap more than tileOverlap
+    const above = capture.tiles[i - 1];
+    const below = capture.tiles[i + 1];
+    const tileOverlap = Math.max(
+      above ? above.y + above.height - tile.y : 0,
+      below ? tile.y + tile.height - below.y : 0,
+    );
+
+    const result = await analyzeScreenshot({
+      config,
+      systemPrompt,
+      prompt: loadPrompt('review-tile', {
+        ...promptVars,
+        tileNumber: tile.index + 1,
+        tileCount: capture.tiles.length,
+        scrollY: tile.y,
+        scrollBottom: tile.y + tile.height,
+        pageHeight: capture.pageHeight,
+        tileOverlap,
+      }),
+      images: [tile.buffer],
+      meta,
+      onReformat,
+      onVerify,
+      onModel,
+      onSchemaFallback,
+    });
+    tileResults.push({ tile, result });
+  }
+
+  const merged = mergeTileResults(tileResults, { ...meta, pageHeight: capture.pageHeight });
+  return withLoadFindings(withAnalysisStats(merged, tileResults.map(({ result }) => result)));
+}
@@ -0,0 +1,86 @@
+/**
+ * Runtime findings: problems a page has while loading that don't
+ * necessarily show in the screenshot (JS errors, broken fonts or scripts).
+ */
+
+/** Max findings kept per capture; a broken page can log thousands */
+const MAX_FINDINGS = 50;
+
+const MAX_MESSAGE_LENGTH = 300;
+
+/** Requests the page itself cancelled (navigation, lazy images) — not a finding */
+const ABORTED_PATTERN = /ERR_ABORTED|NS_BINDING_ABORTED|cancelled/i;
+
+/** Finding kinds, in the order they are listed in reports */
+export const RUNTIME_KINDS = ['page-error', 'console-error', 'request-blocked', 'request-failed', 'http-error'];
+
+/**
+ * Start recording runtime findings on a page. Call before navigating.
+ *
+ * @param {import('playwright').Page} page
+ * @param {Object} [options]
+ * @param {Map} [options.blocked] - Requests aborted by the network policy and why (see network-policy.js)
+ * @returns {Array<{ kind: string, message: string, url?: string, status?: number }>}
+ *   Live list, filled as events arrive
+ */
+export function watchRuntime(page, { blocked } = {}) {
+  const findings = [];
+  const seen = new Set();
+
+  const record = (finding) => {
+    const key = `${finding.kind}::${finding.message}::${finding.url || ''}`;
+    if (seen.has(key) || findings.length >= MAX_FINDINGS) return;
+    seen.add(key);
+    findings.push({ ...finding, message: finding.message.slice(0, MAX_MESSAGE_LENGTH) });
+  };
+
+  page.on('pageerror', (err) => {
+    record({ kind: 'page-error', message: err.message || String(err) });
+  });
+
+  page.on('console', (msg) => {
+    if (msg.type() !== 'error') return;
+    // Chromium logs every 4xx/5xx subresource; those are recorded as http-error
+    if (msg.text().startsWith('Failed to load resource')) return;
+    const { url } = msg.location();
+    record({ kind: 'console-error', message: msg.text(), ...(url && { url }) });
+  });
+
+  page.on('requestfailed', (request) => {
+    if (blocked?.has(request)) {
+      record({ kind: 'request-blocked', message: blocked.get(request), url: request.url() });
+      return;
+    }
+    const errorText = request.failure()?.errorText || 'failed';
+    if (ABORTED_PATTERN.test(errorText)) return;
+    record({ kind: 'request-failed', message: errorText, url: request.url() });
+  });
+
+  page.on('response', (response) => {
+    const status = response.status();
+    if (status < 400) return;
+    record({ kind: 'http-error', message: `${status} ${response.statusText()}`.trim(), url: response.url(), status });
+  });
+
+  return findings;
+}
+
+/**
+ * Order findings by kind for display (page errors first).
+ *
+ * @param {Array} findings
+ * @returns {Array}
+ */
+export function sortRuntime(findings = []) {
+  return [...findings].sort((a, b) => RUNTIME_KINDS.indexOf(a.kind) - RUNTIME_KINDS.indexOf(b.kind));
+}
+
+/**
+ * One-line description of a finding.
+ *
+ * @param {Object} finding
+ * @returns {string}
+ */
+export function describeRuntime(finding) {
+  return finding.url ? `[${finding.kind}] ${finding.message} — ${finding.url}` : `[${finding.kind}] ${finding.message}`;
+}
@@ -0,0 +1,137 @@
+/**
+ * Inference telemetry.
+ *
+ * Providers attach `_telemetry` to every answer they parse: token counts,
+ * durations, retries and the done reason of that model call. Results carry
+ * the combined telemetry of the calls behind them (tiles, ensemble models,
+ * reformat passes) plus the capture time as `telemetry`, and reports
+ * aggregate those into per-run statistics.
+ */
+
+/** Fields added up when combining calls */
+const SUMMED = ['calls', 'promptTokens', 'outputTokens', 'thinkingChunks', 'loadMs', 'totalMs', 'retries'];
+
+/**
+ * Add two optional counts; null when neither is known.
+ * @param {number|null|undefined} a
+ * @param {number|null|undefined} b
+ * @returns {number|null}
+ */
+function add(a, b) {
+  if (a === null || a === undefined) return b ?? null;
+  return a + (b ?? 0);
+}
+
+/**
+ * Telemetry of one model call.
+ *
+ * @param {Object} options
+ * @param {Object} options.stats - From readStream(): { promptTokens, outputTokens, thinkingChunks, loadMs, totalMs }
+ * @param {string|null} options.doneReason - Why generation stopped ('stop', 'length', ...)
+ * @param {number} options.retries - Failed attempts before this one
+ * @param {number} options.wallMs - Request time measured by the client
+ * @returns {Object}
+ */
+export function callTelemetry({ stats, doneReason, retries, wallMs }) {
+  return {
+    calls: 1,
+    promptTokens: stats.promptTokens,
+    outputTokens: stats.outputTokens,
+    thinkingChunks: stats.thinkingChunks,
+    loadMs: stats.loadMs,
+    // Servers that don't report a duration are timed by the client
+    totalMs: stats.totalMs ?? wallMs,
+    retries,
+    doneReason,
+  };
+}
+
+/**
+ * Combine the telemetry of several calls into one.
+ *
+ * Counts and durations are added up. The done reason is 'length' when any
+ * call was truncated, otherwise the first known reason.
+ *
+ * @param {Array<Object|undefined>} list - Telemetry per call; missing entries (cached answers) are skipped
+ * @returns {Object|undefined} undefined when no call has telemetry
+ */
+export function combineTelemetry(list) {
+  const present = list.filter(Boolean);
+  if (!present.length) return undefined;
+
+  const combined = {};
+  for (const field of SUMMED) {
+    combined[field] = present.reduce((sum, t) => add(sum, t[field]), null);
+  }
+  const reasons = present.map(t => t.doneReason).filter(Boolean);
+  combined.doneReason = reasons.includes('length') ? 'length' : reasons[0] ?? null;
+  return combined;
+}
+
+/**
+ * Per-run statistics over the results of a report.
+ *
+ * `analysisMs` is model time, `captureMs` browser time. `tokensPerSecond`
+ * is output tokens over model time; `avgResultMs` is capture plus model
+ * time per result that was actually analyzed (not served from the cache).
+ *
+ * @param {Object[]} results - Review results
+ * @returns {Object}
+ */
+export function summarizeTelemetry(results) {
+  const totals = Object.fromEntries(SUMMED.map(field => [field, 0]));
+  let captureMs = 0;
+  let truncated = 0;
+  let analyzed = 0;
+  let analyzedMs = 0;
+
+  for (const { telemetry } of results) {
+    if (!telemetry) continue;
+    captureMs += telemetry.captureMs ?? 0;
+    for (const field of SUMMED) totals[field] += telemetry[field] ?? 0;
+    if (telemetry.doneReason === 'length') truncated++;
+    if (telemetry.calls) {
+      analyzed++;
+      analyzedMs += (telemetry.captureMs ?? 0) + (telemetry.totalMs ?? 0);
+    }
+  }
+
+  const { totalMs: analysisMs, ...counts } = totals;
+  return {
+    results: results.length,
+    cached: results.filter(r => r.cache === 'hit').length,
+    truncated,
+    ...counts,
+    captureMs,
+    analysisMs,
+    tokensPerSecond: counts.outputTokens && analysisMs
+      ? Number((counts.outputTokens / (analysisMs / 1000)).toFixed(1))
+      : null,
+    avgResultMs: analyzed ? Math.round(analyzedMs / analyzed) : null,
+  };
+}
+
+/**
+ * One-line description of a result's telemetry, e.g.
+ * "capture 3.1s, model 41.2s (load 2.0s), 1840 prompt + 412 output tokens, 1 retry, done: stop".
+ *
+ * @param {Object} telemetry
+ * @returns {string}
+ */
+export function formatTelemetry(telemetry) {
+  const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+  const parts = [];
+  if (telemetry.captureMs !== undefined) parts.push(`capture ${seconds(telemetry.captureMs)}`);
+  if (!telemetry.calls) return [...parts, 'no model calls'].join(', ');
+
+  const load = telemetry.loadMs ? ` (load ${seconds(telemetry.loadMs)})` : '';
+  parts.push(`model ${seconds(telemetry.totalMs)}${load}`);
+  if (telemetry.calls > 1) parts.push(`${telemetry.calls} calls`);
+  if (telemetry.outputTokens !== null) {
+    const prompt = telemetry.promptTokens !== null ? `${telemetry.promptTokens} prompt + ` : '';
+    parts.push(`${prompt}${telemetry.outputTokens} output tokens`);
+  }
+  if (telemetry.retries) parts.push(`${telemetry.retries} ${telemetry.retries === 1 ? 'retry' : 'retries'}`);
+  if (telemetry.doneReason) parts.push(`done: ${telemetry.doneReason}`);
+  return parts.join(', ');
+}
@@ -0,0 +1,182 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { THROTTLING_PROFILES } from '../throttling.js';
+import { createNetworkPolicy, installNetworkPolicy, policyFetch } from '../network-policy.js';
+import { authHeaders } from '../http-auth.js';
+
+/**
+ * Stand-in for a browser context: keeps the route handler so tests can
+ * hand it requests.
+ */
+function fakeContext() {
+  return {
+    handler: null,
+    async route(pattern, handler) { this.handler = handler; },
+    async routeWebSocket() {},
+  };
+}
+
+/**
+ * Stand-in for a routed request. `responses` maps URLs to
+ * { status, headers?, body? }; fetches are recorded in `fetched`.
+ */
+function fakeRoute(url, responses, { resourceType = 'image', headers = {} } = {}) {
+  const route = {
+    fetched: [],
+    outcome: null,
+    request: () => ({ url: () => url, headers: () => headers, resourceType: () => resourceType, postDataBuffer: () => null }),
+    async fetch(options = {}) {
+      const target = options.url ?? url;
+      route.fetched.push({ url: target, ...options });
+      const { status = 200, headers: responseHeaders = {}, body = '' } = responses[target] ?? {};
+      return {
+        status: () => status,
+        headers: () => responseHeaders,
+        body: async () => Buffer.from(body),
+        dispose: async () => {},
+      };
+    },
+    async fulfill({ response }) { route.outcome = { fulfilled: response.status() }; },
+    async abort(reason) { route.outcome = { aborted: reason }; },
+  };
+  return route;
+}
+
+const PAGE = 'http://93.184.215.14/';
+
+describe('installNetworkPolicy', () => {
+  test('hands over subresources that don\'t redirect', async () => {
+    const context = fakeContext();
+    await installNetworkPolicy(context, createNetworkPolicy());
+    const route = fakeRoute(`${PAGE}logo.png`, { [`${PAGE}logo.png`]: { status: 200 } });
+    await context.handler(route);
+
+    assert.deepEqual(route.outcome, { fulfilled: 200 });
+    assert.equal(route.fetched[0].maxRedirects, 0);
+  });
+
+  test('blocks a subresource that redirects to the metadata address', async () => {
+    const context = fakeContext();
+    const blocked = await installNetworkPolicy(context, createNetworkPolicy());
+    const route = fakeRoute(`${PAGE}pixel.gif`, {
+      [`${PAGE}pixel.gif`]: { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } },
+    });
+    await context.handler(route);
+
+    assert.deepEqual(route.outcome, { aborted: 'blockedbyclient' });
+    assert.match([...blocked.values()][0], /redirect to http:\/\/169\.254\.169\.254\/latest\/meta-data\/ blocked/);
+  });
+
+  test('checks every hop of a redirect chain, without the request\'s headers', async () => {
+    const context = fakeContext();
+    await installNetworkPolicy(context, createNetworkPolicy());
+    const route = fakeRoute(`${PAGE}script.js`, {
+      [`${PAGE}script.js`]: { status: 301, headers: { location: 'http://93.184.215.15/next' } },
+      'http://93.184.215.15/next': { status: 307, headers: { location: 'http://10.0.0.5/internal.js' } },
+    }, { resourceType: 'script', headers: { 'user-agent': 'test', 'x-api-key': 'secret' } });
+    await context.handler(route);
+
+    assert.deepEqual(route.outcome, { aborted: 'blockedbyclient' });
+    const probe = route.fetched[1];
+    assert.equal(probe.url, 'http://93.184.215.15/next');
+    assert.equal(probe.method, 'GET');
+    assert.deepEqual(probe.headers, { 'user-agent': 'test' });
+  });
+
+  test('hands over the first response of an allowed chain', async () => {
+    const context = fakeContext();
+    await installNetworkPolicy(context, createNetworkPolicy());
+    const route = fakeRoute(PAGE, {
+      [PAGE]: { status: 302, headers: { location: '/home' } },
+      [`${PAGE}home`]: { status: 200 },
+    }, { resourceType: 'document' });
+    await context.handler(route);
+
+    assert.deepEqual(route.outcome, { fulfilled: 302 });
+    assert.deepEqual(route.fetched.map(f => f.url), [PAGE, `${PAGE}home`]);
+  });
+
+  test('blocks chains with too many redirects', async () => {
+    const context = fakeContext();
+    const blocked = await installNetworkPolicy(context, createNetworkPolicy());
+    const loop = { [PAGE]: { status: 302, headers: { location: PAGE } } };
+    const route = fakeRoute(PAGE, loop);
+    await context.handler(route);
+
+    assert.deepEqual(route.outcome, { aborted: 'blockedbyclient' });
+    assert.match([...blocked.values()][0], /more than \d+ redirects/);
+  });
+
+  test('holds back responses under network throttling, even with an open policy', async () => {
+    const network = { latency: 150, downloadThroughput: 10_000, uploadThroughput: 10_000 };
+    const context = fakeContext();
+    await installNetworkPolicy(context, createNetworkPolicy({ allowPrivate: true }), { network });
+    const route = fakeRoute(PAGE, { [PAGE]: { status: 200, body: 'x'.repeat(2000) } }, { resourceType: 'document' });
+    const startedAt = Date.now();
+    await context.handler(route);
+
+    // 150ms latency + 2000 bytes at 10 kB/s
+    assert.ok(Date.now() - startedAt >= 340, `fulfilled after ${Date.now() - startedAt}ms`);
+    assert.deepEqual(route.outcome, { fulfilled: 200 });
+  });
+
+  test('doesn\'t route an open policy without throttling', async () => {
+    const context = fakeContext();
+    await installNetworkPolicy(context, createNetworkPolicy({ allowPrivate: true }));
+    assert.equal(context.handler, null);
+    await installNetworkPolicy(context, createNetworkPolicy({ allowPrivate: true }), { network: THROTTLING_PROFILES['slow-3g'].network });
+    assert.equal(typeof context.handler, 'function');
+  });
+});
+
+/**
+ * Start an HTTP server on a free local port.
+ * @param {Function} handler - (req, res)
+ * @returns {Promise<{ url: string, close: Function }>}
+ */
+async function listen(handler) {
+  const server = createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+describe('policyFetch', () => {
+  test('sends auth headers only to the original origin', async (t) => {
+    const seen = {};
+    const other = await listen((req, res) => {
+      seen.other = req.headers;
+      res.end('<urlset></urlset>');
+    });
+    t.after(() => other.close());
+    const site = await listen((req, res) => {
+      seen.site = req.headers;
+      res.writeHead(302, { location: `${other.url}/sitemap.xml` });
+      res.end();
+    });
+    t.after(() => site.close());
+
+    const auth = {
+      extraHTTPHeaders: { 'X-Api-Key': 'secret-key' },
+      httpCredentials: { username: 'staging', password: 'secret' },
+      cookies: [{ name: 'session', value: 'abc' }],
+    };
+    const sitemapUrl = `${site.url}/sitemap.xml`;
+    const res = await policyFetch(sitemapUrl, createNetworkPolicy({ allowPrivate: true }), {
+      headers: { 'User-Agent': 'ui-review/1.0' },
+      originHeaders: authHeaders(auth, sitemapUrl),
+    });
+
+    assert.equal(await res.text(), '<urlset></urlset>');
+    assert.equal(seen.site['x-api-key'], 'secret-key');
+    assert.match(seen.site.authorization, /^Basic /);
+    assert.equal(seen.site.cookie, 'session=abc');
+    assert.equal(seen.other['user-agent'], 'ui-review/1.0');
+    for (const name of ['x-api-key', 'authorization', 'cookie']) {
+      assert.equal(seen.other[name], undefined, `${name} sent to the redirect target`);
+    }
+  });
+});
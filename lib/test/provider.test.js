@@ -0,0 +1,155 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startMockServer, CANNED_ISSUES } from '../mock-server.js';
+import { analyze, healthCheck, prewarm } from '../provider.js';
+import { analyzeScreenshot } from '../review.js';
+import { REVIEW_SCHEMA } from '../report.js';
+import { OllamaResponseError } from '../errors.js';
+import { cacheKey, readCache } from '../cache.js';
+
+const MODEL = 'qwen3-vl:8b';
+const IMAGE = Buffer.from('not really a png');
+
+describe('ollama provider against the mock server', () => {
+  let mock;
+  let config;
+
+  before(async () => {
+    mock = await startMockServer({ models: [MODEL, 'other:1b'] });
+    config = { provider: 'ollama', ollamaUrl: mock.url, model: MODEL, cache: false, timeout: 10_000 };
+  });
+  after(() => mock.close());
+
+  /** Chat requests the mock received since `from` */
+  const chatsSince = from => mock.requests.slice(from).filter(r => r.path === '/api/chat');
+
+  test('health check lists the models of every host', async () => {
+    const { models, hosts } = await healthCheck(config);
+    assert.deepEqual(models, [MODEL, 'other:1b']);
+    assert.deepEqual(hosts.map(h => [h.url, h.ok]), [[mock.url, true]]);
+  });
+
+  test('prewarm does not use up scripted answers', async () => {
+    mock.enqueue('empty');
+    const from = mock.requests.length;
+    await prewarm(config);
+    assert.equal(chatsSince(from)[0].scenario, 'prewarm');
+
+    const answer = await analyze({ config, prompt: 'Review', images: [IMAGE] });
+    assert.deepEqual(answer.issues, []);
+  });
+
+  test('issues: parses the answer and sends the schema and images', async () => {
+    mock.enqueue('issues');
+    const from = mock.requests.length;
+    const answer = await analyze({ config, prompt: 'Review', images: [IMAGE], schema: REVIEW_SCHEMA });
+
+    assert.deepEqual(answer.issues, CANNED_ISSUES);
+    assert.equal(answer._telemetry.doneReason, 'stop');
+    assert.equal(answer._telemetry.retries, 0);
+    const [request] = chatsSince(from);
+    assert.deepEqual(request.body.format, REVIEW_SCHEMA);
+    assert.deepEqual(request.body.messages.at(-1).images, [IMAGE.length]);
+  });
+
+  test('think: strips the think block and counts thinking chunks', async () => {
+    mock.enqueue('think');
+    const answer = await analyze({ config, prompt: 'Review', images: [IMAGE] });
+
+    assert.equal(answer._raw, undefined);
+    assert.equal(answer.issues.length, CANNED_ISSUES.length);
+    assert.ok(answer._telemetry.thinkingChunks > 0);
+  });
+
+  test('malformed: the review asks the model to reformat its answer', async () => {
+    mock.enqueue('malformed', 'issues');
+    const from = mock.requests.length;
+    let reformatted = false;
+    const result = await analyzeScreenshot({
+      config,
+      systemPrompt: 'System',
+      prompt: 'Review',
+      images: [IMAGE],
+      meta: { url: 'https://example.com/', viewport: 'desktop' },
+      onReformat: () => { reformatted = true; },
+    });
+
+    assert.ok(reformatted);
+    assert.equal(result._raw, false);
+    assert.equal(result.issues.length, CANNED_ISSUES.length);
+    assert.equal(result.telemetry.calls, 2);
+    const [first, second] = chatsSince(from);
+    assert.equal(first.scenario, 'malformed');
+    assert.equal(second.body.messages.at(-1).images, undefined);
+  });
+
+  test('mid-stream-error: fails without retrying', async () => {
+    mock.enqueue('mid-stream-error');
+    const from = mock.requests.length;
+    await assert.rejects(analyze({ config, prompt: 'Review', images: [IMAGE] }), OllamaResponseError);
+    assert.equal(chatsSince(from).length, 1);
+  });
+
+  test('cf-524: retries and returns the next answer', async () => {
+    mock.enqueue('cf-524', 'issues');
+    const from = mock.requests.length;
+    const answer = await analyze({ config, prompt: 'Review', images: [IMAGE] });
+
+    assert.equal(answer.issues.length, CANNED_ISSUES.length);
+    assert.equal(answer._telemetry.retries, 1);
+    assert.deepEqual(chatsSince(from).map(r => r.scenario), ['cf-524', 'issues']);
+  });
+
+  test('truncated: returns the partial text as a raw answer', async () => {
+    mock.enqueue('truncated');
+    const answer = await analyze({ config, prompt: 'Review', images: [IMAGE] });
+
+    assert.equal(answer._raw, true);
+    assert.equal(answer._telemetry.doneReason, null);
+  });
+
+  test('length: reports the truncation in telemetry', async () => {
+    mock.enqueue('length');
+    const answer = await analyze({ config, prompt: 'Review', images: [IMAGE] });
+
+    assert.equal(answer._raw, true);
+    assert.equal(answer._telemetry.doneReason, 'length');
+  });
+});
+
+describe('structured-output fallback', () => {
+  let mock;
+  let config;
+  let cacheDir;
+
+  before(async () => {
+    mock = await startMockServer({ models: [MODEL] });
+    cacheDir = mkdtempSync(join(tmpdir(), 'ui-review-cache-'));
+    config = { provider: 'ollama', ollamaUrl: mock.url, model: MODEL, cacheDir, timeout: 10_000 };
+  });
+  after(async () => {
+    await mock.close();
+    rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test('caches the answer given without the schema under a key without it', async () => {
+    mock.enqueue('no-schema');
+    const request = { config, prompt: 'Review', images: [IMAGE] };
+    let fallbacks = 0;
+    const answer = await analyze({ ...request, schema: REVIEW_SCHEMA, onSchemaFallback: () => { fallbacks++; } });
+
+    assert.equal(fallbacks, 1);
+    assert.equal(answer.issues.length, CANNED_ISSUES.length);
+    assert.equal(readCache(cacheDir, cacheKey({ ...request, schema: REVIEW_SCHEMA })), null);
+    assert.ok(readCache(cacheDir, cacheKey({ ...request, schema: null })));
+
+    // The server is now asked without the schema, so that entry answers
+    const chats = mock.requests.length;
+    const cached = await analyze({ ...request, schema: REVIEW_SCHEMA });
+    assert.equal(cached._cached, true);
+    assert.equal(mock.requests.length, chats);
+  });
+});
@@ -0,0 +1,153 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeResult, mergeTileResults } from '../report.js';
+
+const issue = (overrides = {}) => ({
+  severity: 'warning',
+  category: 'layout',
+  location: 'Header',
+  description: 'The logo overlaps the menu.',
+  recommendation: 'Add spacing.',
+  box: null,
+  ...overrides,
+});
+
+describe('sanitizeResult', () => {
+  test('keeps valid issues, most severe first', () => {
+    const result = sanitizeResult({
+      issues: [issue({ severity: 'suggestion' }), issue({ severity: 'critical' })],
+      summary: 'Two issues.',
+    }, { url: 'https://example.com/', viewport: 'desktop' });
+
+    assert.deepEqual(result.issues.map(i => i.severity), ['critical', 'suggestion']);
+    assert.equal(result.url, 'https://example.com/');
+    assert.equal(result.viewport, 'desktop');
+    assert.equal(result.engine, 'chromium');
+    assert.equal(result.summary, 'Two issues.');
+    assert.equal(result._raw, false);
+  });
+
+  test('drops issues with an unknown severity or category, or no description', () => {
+    const result = sanitizeResult({
+      issues: [issue({ severity: 'blocker' }), issue({ category: 'colors' }), issue({ description: '' }), null, 'text', issue()],
+    });
+    assert.equal(result.issues.length, 1);
+  });
+
+  test('fills in missing location and recommendation', () => {
+    const [sanitized] = sanitizeResult({ issues: [issue({ location: 3, recommendation: undefined })] }).issues;
+    assert.equal(sanitized.location, 'unknown');
+    assert.equal(sanitized.recommendation, '');
+  });
+
+  test('keeps at most 10 issues', () => {
+    const result = sanitizeResult({ issues: Array.from({ length: 15 }, (_, i) => issue({ description: `Issue ${i}` })) });
+    assert.equal(result.issues.length, 10);
+  });
+
+  test('converts boxes from 0-1000 grounding coordinates to fractions', () => {
+    const [sanitized] = sanitizeResult({ issues: [issue({ box: [100, 200, 500, 1200] })] }).issues;
+    assert.deepEqual(sanitized.box, [0.1, 0.2, 0.5, 1]);
+  });
+
+  test('drops malformed and empty boxes', () => {
+    const boxes = [[1, 2, 3], [10, 10, 'x', 20], [500, 500, 400, 600], [0, 0, 0, 0]];
+    for (const box of sanitizeResult({ issues: boxes.map(b => issue({ box: b })) }).issues) {
+      assert.equal(box.box, undefined);
+    }
+  });
+
+  test('passes the raw flag and state through', () => {
+    const result = sanitizeResult({ issues: [], summary: 'free text', _raw: true }, { state: 'menu open', emulation: 'dark' });
+    assert.equal(result._raw, true);
+    assert.equal(result.state, 'menu open');
+    assert.equal(result.emulation, 'dark');
+  });
+
+  test('handles answers that are not objects', () => {
+    const result = sanitizeResult(null);
+    assert.deepEqual(result.issues, []);
+    assert.equal(result.summary, '');
+  });
+});
+
+describe('mergeTileResults', () => {
+  const tiles = [
+    { index: 0, y: 0, height: 1000 },
+    { index: 1, y: 800, height: 1000 },
+  ];
+  const meta = { url: 'https://example.com/', viewport: 'desktop', pageHeight: 1800 };
+
+  test('prefixes locations with their tile and collapses duplicates from the overlap', () => {
+    const duplicate = issue({ description: 'The footer is cut off.' });
+    const merged = mergeTileResults([
+      { tile: tiles[0], result: { issues: [issue(), duplicate], summary: 'Top.', _raw: false } },
+      { tile: tiles[1], result: { issues: [{ ...duplicate, description: 'THE FOOTER IS CUT OFF.' }], summary: 'Bottom.', _raw: false } },
+    ], meta);
+
+    assert.equal(merged.issues.length, 2);
+    assert.equal(merged.issues[0].location, 'Tile 1/2 (y=0-1000px): Header');
+    assert.equal(merged.issues[0].tile, 0);
+    assert.equal(merged.summary, 'Tile 1/2 (y=0-1000px): Top.\nTile 2/2 (y=800-1800px): Bottom.');
+    assert.equal(merged.fullPage, true);
+    assert.equal(merged.tiles, 2);
+    assert.equal(merged.pageHeight, 1800);
+    assert.equal(merged._raw, false);
+  });
+
+  test('collapses same-category issues whose boxes overlap in the shared band', () => {
+    // Tile 1 sees the banner at 900-1000px, tile 2 the same pixels at its top (y 0.1-0.2)
+    const merged = mergeTileResults([
+      { tile: tiles[0], result: { issues: [issue({ description: 'The cookie banner covers the footer.', box: [0.1, 0.9, 0.9, 1] })], summary: '', _raw: false } },
+      { tile: tiles[1], result: { issues: [
+        issue({ description: 'A consent bar hides the footer links.', box: [0.12, 0.1, 0.9, 0.5] }),
+        issue({ category: 'typography', description: 'Footer text is tiny.', box: [0.1, 0.1, 0.9, 0.2] }),
+        issue({ description: 'The footer logo is stretched.', box: [0.1, 0.6, 0.3, 0.8] }),
+      ], summary: '', _raw: false } },
+    ], meta);
+
+    assert.deepEqual(merged.issues.map(i => i.description), [
+      'The cookie banner covers the footer.',
+      'Footer text is tiny.',
+      'The footer logo is stretched.',
+    ]);
+  });
+
+  test('converts boxes from tile to page fractions', () => {
+    const merged = mergeTileResults([
+      { tile: tiles[1], result: { issues: [issue({ box: [0.1, 0.5, 0.3, 1] })], summary: '', _raw: false } },
+    ], meta);
+    // y 0.5 of the tile is 800 + 500 = 1300px of 1800px
+    assert.deepEqual(merged.issues[0].box, [0.1, 0.7222, 0.3, 1]);
+  });
+
+  test('drops boxes without a page height', () => {
+    const merged = mergeTileResults([
+      { tile: tiles[0], result: { issues: [issue({ box: [0.1, 0.1, 0.2, 0.2] })], summary: '', _raw: false } },
+    ], { url: meta.url });
+    assert.equal(merged.issues[0].box, undefined);
+  });
+
+  test('sorts issues across tiles by severity', () => {
+    const merged = mergeTileResults([
+      { tile: tiles[0], result: { issues: [issue({ severity: 'suggestion' })], summary: '', _raw: false } },
+      { tile: tiles[1], result: { issues: [issue({ severity: 'critical', description: 'Broken form.' })], summary: '', _raw: false } },
+    ], meta);
+    assert.deepEqual(merged.issues.map(i => i.severity), ['critical', 'suggestion']);
+  });
+
+  test('surfaces raw summaries only when no tile was parsed', () => {
+    const partly = mergeTileResults([
+      { tile: tiles[0], result: { issues: [], summary: 'raw text', _raw: true } },
+      { tile: tiles[1], result: { issues: [], summary: 'Parsed.', _raw: false } },
+    ], meta);
+    assert.equal(partly._raw, false);
+    assert.equal(partly.summary, 'Tile 2/2 (y=800-1800px): Parsed.');
+
+    const allRaw = mergeTileResults([
+      { tile: tiles[0], result: { issues: [], summary: 'raw text', _raw: true } },
+    ], meta);
+    assert.equal(allRaw._raw, true);
+    assert.equal(allRaw.summary, 'Tile 1/1 (y=0-1000px): raw text');
+  });
+});
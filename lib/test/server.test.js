@@ -0,0 +1,138 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startMockServer } from '../mock-server.js';
+
+const SERVER = join(import.meta.dirname, '..', '..', 'bin', 'server.js');
+
+/** @returns {Promise<number>} A port nothing listens on */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start bin/server.js and wait until it listens.
+ * @returns {Promise<import('node:child_process').ChildProcess>}
+ */
+function startServer(port, env, cwd) {
+  const child = spawn(process.execPath, [SERVER, '--port', String(port)], { cwd, env: { ...process.env, ...env }, stdio: ['ignore', 'pipe', 'pipe'] });
+  child.stderr.resume();
+  return new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', (data) => {
+      output += data;
+      if (output.includes('server running at')) resolve(child);
+    });
+    child.once('exit', code => reject(new Error(`server exited with ${code}: ${output}`)));
+  });
+}
+
+describe('POST /api/review', () => {
+  let mock;
+  let dir;
+  let child;
+  let baseUrl;
+
+  before(async () => {
+    mock = await startMockServer();
+    dir = mkdtempSync(join(tmpdir(), 'ui-review-server-'));
+    const port = await freePort();
+    child = await startServer(port, { OLLAMA_URL: mock.url, UI_REVIEW_REPORTS_DIR: join(dir, 'reports') }, dir);
+    baseUrl = `http://127.0.0.1:${port}`;
+  });
+
+  after(async () => {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    await mock.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  /** POST a review */
+  const post = body => fetch(`${baseUrl}/api/review`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+
+  /** POST a review and collect its server-sent events */
+  const review = async (body) => {
+    const response = await post(body);
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+    const text = await response.text();
+    return text.split('\n\n')
+      .filter(block => block.startsWith('data: '))
+      .map(block => JSON.parse(block.slice('data: '.length)));
+  };
+
+  /** POST a review that must be answered with a 400, and return the error */
+  const rejected = async (body) => {
+    const response = await post(body);
+    assert.equal(response.status, 400);
+    return (await response.json()).error;
+  };
+
+  test('requires a base URL and pages', async () => {
+    const events = await review({ pages: [] });
+    assert.deepEqual(events, [{ event: 'error', message: 'baseUrl and at least one page are required' }]);
+  });
+
+  test('answers a malformed body with a 400', async () => {
+    assert.equal(await rejected('{"baseUrl":'), 'Invalid request body');
+  });
+
+  test('answers unknown viewports and engines with a 400 naming them', async () => {
+    const page = { path: '/' };
+    assert.match(await rejected({ baseUrl: 'https://example.com', pages: [page], viewports: ['desktop', 'huge'] }),
+      /^Unknown viewports: huge\. Known: .*desktop/);
+    assert.equal(await rejected({ baseUrl: 'https://example.com', pages: [page], engines: ['chromium', 'lynx', 'links'] }),
+      'Unknown engines: lynx, links. Known: chromium, firefox, webkit');
+  });
+
+  test('answers viewports and engines that aren\'t arrays with a 400', async () => {
+    const page = { path: '/' };
+    assert.equal(await rejected({ baseUrl: 'https://example.com', pages: [page], engines: 'chromium' }),
+      'engines must be a non-empty array of names');
+    assert.equal(await rejected({ baseUrl: 'https://example.com', pages: [page], viewports: { name: 'desktop' } }),
+      'viewports must be a non-empty array of names');
+    // The server is still up
+    assert.match(await rejected({ baseUrl: 'https://example.com', pages: [page], engines: [] }), /non-empty array/);
+  });
+
+  test('rejects an invalid verify mode', async () => {
+    assert.match(await rejected({ baseUrl: 'https://example.com', pages: [{ path: '/' }], verify: 'sometimes' }),
+      /Unknown verify mode "sometimes"/);
+  });
+
+  test('records a failed capture as a page error and completes the report', async () => {
+    // Nothing listens on port 1, so the capture fails with or without a browser installed
+    const events = await review({ baseUrl: 'http://127.0.0.1:1', pages: [{ path: '/', name: 'Home' }], allowPrivate: true });
+    const names = events.map(e => e.event);
+
+    assert.equal(names[0], 'report-id');
+    assert.ok(names.includes('page-error'));
+    assert.equal(names.at(-1), 'done');
+    const { reportId } = events[0];
+    const pageError = events.find(e => e.event === 'page-error');
+    assert.equal(pageError.page, 'Home');
+    assert.equal(pageError.viewport, 'desktop');
+
+    const report = JSON.parse(readFileSync(join(dir, 'reports', `${reportId}.json`), 'utf8'));
+    assert.equal(report.status, 'complete');
+    assert.deepEqual(report.results, {});
+    assert.deepEqual(Object.keys(report.errors), [pageError.key]);
+    assert.ok(mock.requests.some(r => r.path === '/api/tags'), 'health check reached the VLM server');
+  });
+});
@@ -0,0 +1,144 @@
+import { ConfigError } from './errors.js';
+
+/**
+ * Network and CPU throttling, and timed screenshots during load.
+ *
+ * Throttled loads show what users on slow connections see first: blank
+ * screens, skeletons, spinners and layouts that jump as content arrives.
+ * Network and CPU throttling use the Chrome DevTools protocol, so those
+ * profiles need Chromium; going offline after load works in every engine.
+ */
+
+/** Throttling profiles (throughput in bytes/s, latency in ms, CPU as slowdown factor) */
+export const THROTTLING_PROFILES = {
+  'slow-3g': {
+    label: 'slow 3G (400 kbit/s, 2s round trip, 4x slower CPU)',
+    network: { latency: 2000, downloadThroughput: 50_000, uploadThroughput: 50_000 },
+    cpu: 4,
+  },
+  'fast-3g': {
+    label: 'fast 3G (1.4 Mbit/s, 560ms round trip, 4x slower CPU)',
+    network: { latency: 563, downloadThroughput: 180_000, uploadThroughput: 84_375 },
+    cpu: 4,
+  },
+  'slow-4g': {
+    label: 'slow 4G (1.6 Mbit/s, 150ms round trip, 4x slower CPU)',
+    network: { latency: 150, downloadThroughput: 204_800, uploadThroughput: 96_000 },
+    cpu: 4,
+  },
+  'offline-after-load': {
+    label: 'online while loading, then offline (interactions and late requests run without a connection)',
+    offlineAfterLoad: true,
+  },
+};
+
+/** Upper bounds for loading screenshots: count and offset after navigation start */
+const MAX_LOADING_SHOTS = 6;
+const MAX_LOADING_OFFSET = 60_000;
+
+/**
+ * Validate a throttling profile name.
+ *
+ * @param {string} name
+ * @param {string} [label='throttling'] - Used in error messages
+ * @throws {ConfigError}
+ */
+export function validateThrottling(name, label = 'throttling') {
+  if (typeof name !== 'string' || !THROTTLING_PROFILES[name]) {
+    throw new ConfigError(`${label}: unknown profile "${name}". Known: ${Object.keys(THROTTLING_PROFILES).join(', ')}`);
+  }
+}
+
+/**
+ * Validate loading screenshot offsets (ms after navigation starts).
+ *
+ * @param {number[]} shots - e.g. [1000, 3000]
+ * @param {string} [label='loadingShots'] - Used in error messages
+ * @throws {ConfigError}
+ */
+export function validateLoadingShots(shots, label = 'loadingShots') {
+  if (!Array.isArray(shots)) {
+    throw new ConfigError(`${label} must be an array of milliseconds, e.g. [1000, 3000]`);
+  }
+  if (shots.length > MAX_LOADING_SHOTS) {
+    throw new ConfigError(`${label}: at most ${MAX_LOADING_SHOTS} loading screenshots`);
+  }
+  for (const [i, at] of shots.entries()) {
+    if (!Number.isInteger(at) || at < 0 || at > MAX_LOADING_OFFSET) {
+      throw new ConfigError(`${label}: ${at} is not an integer between 0 and ${MAX_LOADING_OFFSET}ms`);
+    }
+    if (i > 0 && at <= shots[i - 1]) {
+      throw new ConfigError(`${label} must be in increasing order`);
+    }
+  }
+}
+
+/**
+ * Throw when a profile can't be emulated by an engine.
+ *
+ * @param {string} name - Validated profile name
+ * @param {string} engine
+ * @throws {ConfigError}
+ */
+export function checkThrottlingEngine(name, engine) {
+  const profile = THROTTLING_PROFILES[name];
+  if ((profile.network || profile.cpu) && engine !== 'chromium') {
+    throw new ConfigError(`Throttling profile "${name}" needs Chromium; ${engine} can't emulate network or CPU throttling`);
+  }
+}
+
+/**
+ * Apply a profile's network and CPU throttling to a page. Call before navigating.
+ *
+ * @param {import('playwright').BrowserContext} context
+ * @param {import('playwright').Page} page
+ * @param {string} name - Validated profile name
+ */
+export async function applyThrottling(context, page, name) {
+  const profile = THROTTLING_PROFILES[name];
+  if (!profile.network && !profile.cpu) return;
+
+  const cdp = await context.newCDPSession(page);
+  if (profile.network) {
+    await cdp.send('Network.enable');
+    await cdp.send('Network.emulateNetworkConditions', { offline: false, ...profile.network });
+  }
+  if (profile.cpu) {
+    await cdp.send('Emulation.setCPUThrottlingRate', { rate: profile.cpu });
+  }
+}
+
+/**
+ * Time a request takes under a profile's network conditions: one round
+ * trip plus the bytes each way at the profile's throughput. Used where
+ * responses are fetched outside the browser's network emulation (see
+ * installNetworkPolicy()). Concurrent requests don't share the bandwidth.
+ *
+ * @param {Object} network - A profile's `network`: { latency, downloadThroughput, uploadThroughput }
+ * @param {Object} bytes - { sent, received }
+ * @returns {number} ms
+ */
+export function transferDelay(network, { sent = 0, received = 0 }) {
+  const seconds = sent / network.uploadThroughput + received / network.downloadThroughput;
+  return Math.round(network.latency + seconds * 1000);
+}
+
+/**
+ * Apply the part of a profile that starts once the page has loaded.
+ *
+ * @param {import('playwright').BrowserContext} context
+ * @param {string} name - Validated profile name
+ */
+export async function applyAfterLoad(context, name) {
+  if (THROTTLING_PROFILES[name].offlineAfterLoad) await context.setOffline(true);
+}
+
+/**
+ * Describe network conditions for the review prompt.
+ *
+ * @param {string|null} name
+ * @returns {string}
+ */
+export function describeThrottling(name) {
+  return name ? THROTTLING_PROFILES[name].label : 'unthrottled';
+}
@@ -0,0 +1,331 @@
+import { OllamaConnectionError, OllamaTimeoutError, OllamaAuthError, OllamaResponseError } from './errors.js';
+
+/**
+ * HTTP plumbing shared by the VLM providers (see provider.js).
+ *
+ * Responses are streamed so Cloudflare tunnels (~100s idle timeout) stay
+ * open during long inference: every token chunk resets CF's idle timer.
+ * Providers only differ in the request body and in how a stream line is
+ * parsed.
+ */
+
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '::1', '0.0.0.0']);
+
+const MAX_CONTENT_SIZE = 5_000_000; // 5MB accumulated content limit
+
+/**
+ * Log prefix for the configured provider, e.g. "[ollama]".
+ * @param {Object} config
+ * @returns {string}
+ */
+function tag(config) {
+  return `[${config.provider || 'ollama'}]`;
+}
+
+/**
+ * Mask a secret for safe logging (first 4 chars + ****).
+ * @param {string} [s]
+ * @returns {string}
+ */
+function maskSecret(s) {
+  return s ? s.slice(0, 4) + '****' : '<not set>';
+}
+
+/**
+ * Determine whether the VLM server URL points to a local server.
+ * @param {string} serverUrl
+ * @returns {boolean}
+ */
+function isLocal(serverUrl) {
+  try {
+    const { hostname } = new URL(serverUrl);
+    return LOCAL_HOSTS.has(hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Build request headers, adding CF Access credentials for remote hosts.
+ * @param {Object} config
+ * @returns {Object}
+ */
+export function buildHeaders(config) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (!isLocal(config.ollamaUrl)) {
+    if (config.cfClientId) headers['CF-Access-Client-Id'] = config.cfClientId;
+    if (config.cfClientSecret) headers['CF-Access-Client-Secret'] = config.cfClientSecret;
+  }
+  return headers;
+}
+
+/**
+ * Perform a fetch with standard error handling for VLM server responses.
+ * @param {string} url
+ * @param {Object} options - fetch options
+ * @param {Object} config - app config (for debug logging)
+ * @param {string} label - Server name for messages, e.g. 'Ollama'
+ * @returns {Promise<Response>}
+ */
+export async function providerFetch(url, options, config, label) {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (err) {
+    if (err.name === 'AbortError' || err.name === 'TimeoutError') {
+      throw new OllamaTimeoutError(`${label} request timed out: ${url}`);
+    }
+    throw new OllamaConnectionError(
+      `Cannot connect to ${label} at ${config.ollamaUrl}: ${err.message}`
+    );
+  }
+
+  // CF Access challenge detection — HTML instead of JSON
+  const contentType = response.headers.get('content-type') || '';
+  if (contentType.includes('text/html')) {
+    const remote = !isLocal(config.ollamaUrl);
+    // CF 524 (idle timeout) returns HTML — retryable via withRetry
+    if (response.status === 524) {
+      throw new OllamaTimeoutError(
+        `Cloudflare 524 timeout — server took too long to respond.`
+      );
+    }
+    const hint = remote
+      ? ` Check CF_ACCESS_CLIENT_ID (${maskSecret(config.cfClientId)}) and CF_ACCESS_CLIENT_SECRET (${maskSecret(config.cfClientSecret)}).`
+      : '';
+    if (config.debug) {
+      const body = await response.text().catch(() => '<unreadable>');
+      console.error(`${tag(config)} HTML response: status=${response.status} body=${body.slice(0, 300)}`);
+    }
+    throw new OllamaAuthError(
+      `Received HTML response (HTTP ${response.status}) from ${label} — likely a Cloudflare Access challenge.${hint}`
+    );
+  }
+
+  return response;
+}
+
+/**
+ * Retry wrapper for transient errors (CF 524, connection drops, timeouts).
+ * Uses exponential backoff: 2s, 4s, 8s between retries.
+ *
+ * @param {Function} fn - Async function to retry; receives the attempt number (0 first)
+ * @param {Object} config - App config (for debug logging)
+ * @param {number} [maxRetries=3] - Max retry attempts
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withRetry(fn, config, maxRetries = 3) {
+  let lastError;
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    if (attempt > 0) {
+      const wait = 2 ** attempt * 1000; // 2s, 4s, 8s
+      if (config.debug) {
+        console.error(`${tag(config)} Retry ${attempt}/${maxRetries - 1} after ${wait / 1000}s...`);
+      }
+      await new Promise(r => setTimeout(r, wait));
+    }
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      lastError = err;
+      // Retry on timeout and connection errors, not auth/model errors
+      if (err instanceof OllamaTimeoutError || err instanceof OllamaConnectionError) {
+        continue;
+      }
+      throw err; // Auth/model errors: don't retry
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Strip <think>...</think> reasoning blocks from VLM output.
+ * qwen3-vl wraps internal reasoning in think tags; we don't want them in final output.
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripThinkTags(text) {
+  return text.replace(/<think>[\s\S]*?<\/think>\s*/g, '');
+}
+
+/**
+ * Read a line-oriented streaming response (NDJSON or SSE), accumulating
+ * content chunks.
+ *
+ * `parseLine` turns one non-empty line into
+ * `{ content?, thinking?, done?: { reason?, duration?, loadDuration?, evalCount?, promptEvalCount? } }`
+ * (durations in nanoseconds), returns null to skip the line, and throws
+ * OllamaResponseError for server-side errors. Servers may split the final
+ * metadata over several `done` events; the first reason wins and later
+ * counts fill in what's missing.
+ *
+ * @param {Response} response - fetch Response with streaming body
+ * @param {Object} config - app config (timeout, debug)
+ * @param {string} label - Server name for messages, e.g. 'Ollama'
+ * @param {Function} parseLine - (line: string) => Object|null
+ * @returns {Promise<{ content: string, doneReason: string|null, totalDuration: number|null, stats: Object }>}
+ *   stats is `{ promptTokens, outputTokens, thinkingChunks, loadMs, totalMs }`, null where the server didn't say
+ */
+export async function readStream(response, config, label, parseLine) {
+  const chunks = [];
+  let doneReason = null;
+  let totalDuration = null;
+  let loadDuration = null;
+  let evalCount = null;
+  let promptEvalCount = null;
+  let contentLength = 0;
+  let thinkingChunks = 0;
+
+  // Inter-chunk timeout: if no data arrives within this window, cancel the stream.
+  // With streaming, each token resets the timer. This replaces the total
+  // AbortSignal.timeout — see cloudflare-tunnel-streaming-guide.md.
+  const CHUNK_TIMEOUT = config.timeout || 300_000;
+  let chunkTimer;
+  const resetChunkTimer = () => {
+    clearTimeout(chunkTimer);
+    chunkTimer = setTimeout(() => {
+      response.body.cancel().catch(() => {}); // Cancel stream on silence timeout
+    }, CHUNK_TIMEOUT);
+  };
+
+  const handleLine = (line) => {
+    const event = parseLine(line);
+    if (!event) return;
+
+    // Track thinking vs content tokens
+    if (event.thinking) thinkingChunks++;
+
+    if (event.content) {
+      contentLength += event.content.length;
+      if (contentLength > MAX_CONTENT_SIZE) {
+        throw new OllamaResponseError(
+          `${label} response content too large (>${(MAX_CONTENT_SIZE / 1024 / 1024).toFixed(0)}MB limit)`
+        );
+      }
+      chunks.push(event.content);
+      if (config.debug && chunks.length <= 3) {
+        console.error(`${tag(config)} content chunk ${chunks.length}: ${JSON.stringify(event.content.slice(0, 80))}`);
+      }
+    }
+
+    if (event.done) {
+      doneReason = doneReason || event.done.reason || null;
+      totalDuration = event.done.duration ?? totalDuration;
+      loadDuration = event.done.loadDuration ?? loadDuration;
+      evalCount = event.done.evalCount ?? evalCount;
+      promptEvalCount = event.done.promptEvalCount ?? promptEvalCount;
+    }
+  };
+
+  const decoder = new TextDecoder();
+  let lineBuf = '';
+
+  try {
+    resetChunkTimer();
+    for await (const rawChunk of response.body) {
+      resetChunkTimer(); // Reset on every chunk received
+      lineBuf += decoder.decode(rawChunk, { stream: true });
+
+      // Process complete lines
+      const lines = lineBuf.split('\n');
+      lineBuf = lines.pop(); // Keep incomplete last line in buffer
+
+      for (const line of lines) {
+        if (line.trim()) handleLine(line);
+      }
+    }
+  } catch (err) {
+    if (err instanceof OllamaConnectionError || err instanceof OllamaResponseError) throw err;
+    if (err.name === 'AbortError' || err.name === 'TimeoutError') {
+      throw new OllamaTimeoutError(
+        `${label} streaming timed out (no data for ${CHUNK_TIMEOUT / 1000}s) after ${thinkingChunks} thinking + ${chunks.length} content chunks`
+      );
+    }
+    throw new OllamaConnectionError(`${label} stream error: ${err.message}`);
+  } finally {
+    clearTimeout(chunkTimer);
+  }
+
+  // Process any remaining buffer content
+  if (lineBuf.trim()) {
+    try {
+      handleLine(lineBuf);
+    } catch (err) {
+      if (err instanceof OllamaConnectionError || err instanceof OllamaResponseError) throw err;
+      if (config.debug) {
+        console.error(`${tag(config)} Ignoring trailing buffer: ${lineBuf.slice(0, 100)}`);
+      }
+    }
+  }
+
+  if (config.debug) {
+    console.error(`${tag(config)} stream stats: ${thinkingChunks} thinking chunks, ${chunks.length} content chunks, eval_count=${evalCount}`);
+  }
+
+  // Partial stream detection: stream ended without a done marker
+  if (doneReason === null && chunks.length > 0) {
+    console.error(
+      `${tag(config)} Warning: stream ended without done marker (${chunks.length} content chunks, ${contentLength} chars). Response may be partial.`
+    );
+  }
+
+  const ms = ns => (ns === null ? null : Math.round(ns / 1e6));
+  return {
+    content: chunks.join(''),
+    doneReason,
+    totalDuration,
+    stats: {
+      promptTokens: promptEvalCount,
+      outputTokens: evalCount,
+      thinkingChunks,
+      loadMs: ms(loadDuration),
+      totalMs: ms(totalDuration),
+    },
+  };
+}
+
+/**
+ * Parse VLM response text as JSON with fallback extraction.
+ *
+ * Tries:
+ *  1. Direct JSON.parse
+ *  2. Fenced code block extraction (```json ... ```)
+ *  3. First { ... } brace-matched extraction
+ *  4. Returns raw text wrapped as fallback
+ *
+ * @param {string} text
+ * @returns {Object}
+ */
+export function parseVlmJson(text) {
+  // Strip BOM, zero-width chars, and trim whitespace
+  const clean = text
+    .replace(/^\uFEFF/, '')
+    .replace(/[\u200B-\u200D\uFEFF\u00A0]/g, '')
+    .trim();
+
+  // Tier 1: direct parse
+  try { return JSON.parse(clean); } catch { /* continue */ }
+
+  // Tier 2: fenced code block
+  const fenced = clean.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) {
+    try { return JSON.parse(fenced[1].trim()); } catch { /* continue */ }
+  }
+
+  // Tier 3: first brace-matched object
+  const braced = clean.match(/\{[\s\S]*\}/);
+  if (braced) {
+    try { return JSON.parse(braced[0]); } catch { /* continue */ }
+  }
+
+  // Tier 4: try relaxed parse — strip control chars that break JSON.parse
+  const relaxed = clean.replace(/[\x00-\x1F\x7F]/g, m => m === '\n' || m === '\t' ? m : '');
+  const bracedRelaxed = relaxed.match(/\{[\s\S]*\}/);
+  if (bracedRelaxed) {
+    try { return JSON.parse(bracedRelaxed[0]); } catch { /* continue */ }
+  }
+
+  // Tier 5: return raw text as fallback — caller should check _raw flag
+  console.error(`[vlm] Warning: VLM response not parseable as JSON (${clean.length} chars). Returning raw text — issues may be missing.`);
+  return { issues: [], summary: text, _raw: true };
+}
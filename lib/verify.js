@@ -0,0 +1,190 @@
+import { analyze } from './provider.js';
+import { loadPrompt } from './prompts.js';
+import { combineTelemetry } from './telemetry.js';
+
+/**
+ * Second pass that checks reported issues against the screenshot.
+ *
+ * Models report issues that aren't on the screen. With `config.verify`,
+ * every issue of an answer goes back to the model that reported it, with
+ * the same images, asking whether it is actually present. Each checked
+ * issue records its `verification` ({ verdict, reason }); issues the model
+ * rejects are kept and marked (`mark`) or dropped (`drop`). Results count
+ * the verdicts per model, so reports can show each model's false-positive
+ * rate.
+ */
+
+/** JSON Schema of a verification answer */
+export const VERIFY_SCHEMA = {
+  type: 'object',
+  properties: {
+    present: { type: 'boolean' },
+    reason: { type: 'string' },
+  },
+  required: ['present', 'reason'],
+  additionalProperties: false,
+};
+
+const SYSTEM_PROMPT = 'You check the findings of a UI review against the screenshot they were made on. Only confirm what you can see. Respond only with valid JSON.';
+
+/** Verdicts: the model answered yes or no, answered neither, or the call failed */
+const VERDICTS = ['confirmed', 'rejected', 'unclear', 'error'];
+
+/**
+ * Whether a config asks for verification.
+ *
+ * @param {Object} config
+ * @returns {boolean}
+ */
+export function isVerifying(config) {
+  return Boolean(config.verify) && config.verify !== 'off';
+}
+
+/**
+ * Describe an issue box for the prompt, in percent of the image.
+ * @param {number[]} [box] - [x1, y1, x2, y2] fractions
+ * @returns {string}
+ */
+function describeArea(box) {
+  if (!box) return 'not given';
+  const pct = v => Math.round(v * 100);
+  return `x ${pct(box[0])}-${pct(box[2])}%, y ${pct(box[1])}-${pct(box[3])}% of the image (from the top left corner)`;
+}
+
+/**
+ * Read the verdict from a verification answer. Free-form answers (servers
+ * without structured output) count when they start with yes or no.
+ *
+ * @param {Object} answer - Parsed VLM response
+ * @returns {{ verdict: string, reason: string }}
+ */
+function readVerdict(answer) {
+  if (typeof answer.present === 'boolean') {
+    return { verdict: answer.present ? 'confirmed' : 'rejected', reason: typeof answer.reason === 'string' ? answer.reason : '' };
+  }
+  const text = typeof answer.summary === 'string' ? answer.summary.trim() : '';
+  const match = text.match(/^\W*(yes|no)\b[\s,.:;-]*/i);
+  if (match) {
+    return { verdict: match[1].toLowerCase() === 'yes' ? 'confirmed' : 'rejected', reason: text.slice(match[0].length) };
+  }
+  return { verdict: 'unclear', reason: text.slice(0, 200) };
+}
+
+/**
+ * @returns {Object} Zero count per verdict, plus `checked`
+ */
+function emptyCounts() {
+  return Object.fromEntries(['checked', ...VERDICTS].map(key => [key, 0]));
+}
+
+/**
+ * Ask the model behind a result whether each of its issues is present.
+ *
+ * Issues are checked concurrently; hosts.js keeps the number of requests
+ * within what the hosts take. A failed check leaves its issue in place with
+ * verdict 'error'.
+ *
+ * @param {Object} result - Sanitized result of one model on these images
+ * @param {Object} options
+ * @param {Object} options.config - App config; `config.model` is the model that answered
+ * @param {Buffer[]} options.images - The images the result was analyzed on
+ * @param {Function} [options.onSchemaFallback] - Called with (model, error) when the server rejects structured output
+ * @returns {Promise<Object>} Result with `verification` on issues and per-model counts as `verification`
+ */
+export async function verifyIssues(result, { config, images, onSchemaFallback }) {
+  const answers = await Promise.all(result.issues.map(issue => analyze({
+    config,
+    systemPrompt: SYSTEM_PROMPT,
+    prompt: loadPrompt('verify', {
+      severity: issue.severity,
+      category: issue.category,
+      location: issue.location,
+      area: describeArea(issue.box),
+      description: issue.description,
+    }),
+    images,
+    schema: VERIFY_SCHEMA,
+    onSchemaFallback,
+  }).catch(err => ({ _error: err }))));
+
+  const counts = emptyCounts();
+  const issues = [];
+  for (const [i, issue] of result.issues.entries()) {
+    const answer = answers[i];
+    const verification = answer._error
+      ? { verdict: 'error', reason: answer._error.message }
+      : readVerdict(answer);
+    counts.checked++;
+    counts[verification.verdict]++;
+    if (verification.verdict === 'rejected' && config.verify === 'drop') continue;
+    issues.push({ ...issue, verification });
+  }
+
+  const answered = answers.filter(answer => !answer._error);
+  const telemetry = combineTelemetry([result.telemetry, ...answered.map(answer => answer._telemetry)]);
+  // A cached review whose checks had to run again is only partly cached
+  const cache = result.cache === 'hit' && !answers.every(answer => answer._cached) ? 'partial' : result.cache;
+  return {
+    ...result,
+    issues,
+    verification: { mode: config.verify, models: { [config.model]: counts } },
+    ...(telemetry && { telemetry }),
+    ...(cache && { cache }),
+  };
+}
+
+/**
+ * Add up the verification counts of several results (tiles, ensemble models).
+ *
+ * @param {Array<Object|undefined>} list - `verification` per result
+ * @returns {Object|undefined} undefined when no result was verified
+ */
+export function combineVerification(list) {
+  const present = list.filter(Boolean);
+  if (!present.length) return undefined;
+
+  const models = {};
+  for (const verification of present) {
+    for (const [model, counts] of Object.entries(verification.models)) {
+      models[model] ??= emptyCounts();
+      for (const [key, n] of Object.entries(counts)) models[model][key] = (models[model][key] ?? 0) + n;
+    }
+  }
+  return { mode: present[0].mode, models };
+}
+
+/**
+ * Verification outcomes of a report, per model, with the false-positive
+ * rate: rejected issues over issues with a yes or no verdict.
+ *
+ * @param {Object[]} results - Review results
+ * @returns {Object|undefined} { mode, models: { [model]: { checked, confirmed, rejected, unclear, error, falsePositiveRate } } }
+ */
+export function summarizeVerification(results) {
+  const combined = combineVerification(results.map(result => result.verification));
+  if (!combined) return undefined;
+
+  const models = Object.fromEntries(Object.entries(combined.models).map(([model, counts]) => {
+    const decided = counts.confirmed + counts.rejected;
+    return [model, { ...counts, falsePositiveRate: decided ? Number((counts.rejected / decided).toFixed(2)) : null }];
+  }));
+  return { mode: combined.mode, models };
+}
+
+/**
+ * One-line description of verification counts, e.g.
+ * "qwen3-vl:8b 2 of 7 rejected (29%), 1 unclear".
+ *
+ * @param {Object} verification - From a result or summarizeVerification()
+ * @returns {string}
+ */
+export function formatVerification(verification) {
+  return Object.entries(verification.models).map(([model, counts]) => {
+    const decided = counts.confirmed + counts.rejected;
+    const rate = decided ? ` (${Math.round((counts.rejected / decided) * 100)}%)` : '';
+    const parts = [`${model} ${counts.rejected} of ${counts.checked} rejected${rate}`];
+    if (counts.unclear) parts.push(`${counts.unclear} unclear`);
+    if (counts.error) parts.push(`${counts.error} failed`);
+    return parts.join(', ');
+  }).join('; ');
+}
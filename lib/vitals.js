@@ -0,0 +1,170 @@
+import { ConfigError } from './errors.js';
+
+/**
+ * Core Web Vitals and page weight per capture.
+ *
+ * A still image can't show layout shift or slow paint, so observers are
+ * installed before navigation and read back before the screenshot.
+ * LCP, CLS and long tasks are only reported by Chromium-based engines;
+ * other engines leave those metrics null.
+ */
+
+/** Default budgets ("good" thresholds from web.dev); null disables a budget */
+export const DEFAULT_BUDGETS = {
+  lcp: 2500,            // ms
+  cls: 0.1,             // unitless
+  fcp: 1800,            // ms
+  tbt: 200,             // ms
+  pageWeight: 2_000_000, // bytes transferred
+};
+
+const METRICS = {
+  lcp: { label: 'Largest Contentful Paint', format: v => `${(v / 1000).toFixed(2)}s`, fix: 'Preload or shrink the largest above-the-fold image or text block and cut render-blocking resources.' },
+  cls: { label: 'Cumulative Layout Shift', format: v => v.toFixed(3), fix: 'Reserve space for images, embeds and late-loading content (width/height or aspect-ratio) and avoid inserting content above existing content.' },
+  fcp: { label: 'First Contentful Paint', format: v => `${(v / 1000).toFixed(2)}s`, fix: 'Reduce render-blocking CSS/JS and server response time.' },
+  tbt: { label: 'Total Blocking Time', format: v => `${Math.round(v)}ms`, fix: 'Split long JavaScript tasks and defer non-critical scripts.' },
+  pageWeight: { label: 'Page weight', format: v => `${(v / 1_000_000).toFixed(2)}MB`, fix: 'Compress and resize images, and remove unused JavaScript and fonts.' },
+};
+
+/**
+ * Installed with page.addInitScript(): records paint, LCP, layout shifts and
+ * long tasks from the very start of the document. Runs in the browser.
+ */
+function observeInPage() {
+  const vitals = { fcp: null, lcp: null, cls: null, longTasks: [] };
+  window.__uiReviewVitals = vitals;
+
+  const observe = (type, onEntries) => {
+    try {
+      new PerformanceObserver(list => onEntries(list.getEntries())).observe({ type, buffered: true });
+    } catch { /* entry type not supported by this engine */ }
+  };
+
+  observe('paint', entries => {
+    for (const e of entries) if (e.name === 'first-contentful-paint') vitals.fcp = e.startTime;
+  });
+  observe('largest-contentful-paint', entries => {
+    const last = entries[entries.length - 1];
+    if (last) vitals.lcp = last.renderTime || last.loadTime || last.startTime;
+  });
+  observe('layout-shift', entries => {
+    for (const e of entries) if (!e.hadRecentInput) vitals.cls = (vitals.cls || 0) + e.value;
+  });
+  observe('longtask', entries => {
+    for (const e of entries) vitals.longTasks.push({ start: e.startTime, duration: e.duration });
+  });
+}
+
+/**
+ * Start observing vitals on a page. Call before navigating.
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Promise<void>}
+ */
+export async function watchVitals(page) {
+  await page.addInitScript(observeInPage);
+}
+
+/**
+ * Read the metrics recorded so far.
+ *
+ * Never throws: metrics that can't be read are null.
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{ lcp: number|null, cls: number|null, fcp: number|null, tbt: number|null, pageWeight: number|null, requests: number }>}
+ */
+export async function collectVitals(page) {
+  try {
+    return await page.evaluate(() => {
+      const vitals = window.__uiReviewVitals || { longTasks: [] };
+      const supportsLongTasks = PerformanceObserver.supportedEntryTypes?.includes('longtask');
+      const supportsShifts = PerformanceObserver.supportedEntryTypes?.includes('layout-shift');
+
+      // TBT: blocking part (>50ms) of long tasks after first contentful paint
+      const tbt = supportsLongTasks
+        ? vitals.longTasks
+          .filter(t => vitals.fcp === null || t.start >= vitals.fcp)
+          .reduce((sum, t) => sum + Math.max(0, t.duration - 50), 0)
+        : null;
+
+      // transferSize is 0 for cached and cross-origin resources without Timing-Allow-Origin
+      const entries = [...performance.getEntriesByType('navigation'), ...performance.getEntriesByType('resource')];
+      const pageWeight = entries.reduce((sum, e) => sum + (e.transferSize || 0), 0);
+
+      return {
+        lcp: vitals.lcp === null ? null : Math.round(vitals.lcp),
+        cls: supportsShifts ? Number((vitals.cls || 0).toFixed(4)) : null,
+        fcp: vitals.fcp === null ? null : Math.round(vitals.fcp),
+        tbt: tbt === null ? null : Math.round(tbt),
+        pageWeight: entries.length ? pageWeight : null,
+        requests: entries.length,
+      };
+    });
+  } catch {
+    return { lcp: null, cls: null, fcp: null, tbt: null, pageWeight: null, requests: 0 };
+  }
+}
+
+/**
+ * Validate manifest budgets.
+ *
+ * @param {Object} budgets - Partial { lcp, cls, fcp, tbt, pageWeight }
+ * @throws {ConfigError}
+ */
+export function validateBudgets(budgets) {
+  if (!budgets || typeof budgets !== 'object' || Array.isArray(budgets)) {
+    throw new ConfigError('budgets must be an object');
+  }
+  for (const [metric, value] of Object.entries(budgets)) {
+    if (!(metric in DEFAULT_BUDGETS)) {
+      throw new ConfigError(`Unknown budget "${metric}". Known: ${Object.keys(DEFAULT_BUDGETS).join(', ')}`);
+    }
+    if (value !== null && (typeof value !== 'number' || !(value > 0))) {
+      throw new ConfigError(`Budget "${metric}" must be a positive number or null`);
+    }
+  }
+}
+
+/**
+ * Turn budget overruns into synthetic review issues.
+ *
+ * Over budget is a warning; more than twice the budget is critical.
+ *
+ * @param {Object} vitals - From collectVitals()
+ * @param {Object} budgets - Metric → limit (null = no budget)
+ * @returns {Array<Object>} Issues with `synthetic: true` and the `metric` they came from
+ */
+export function checkBudgets(vitals, budgets = DEFAULT_BUDGETS) {
+  const issues = [];
+  for (const [metric, { label, format, fix }] of Object.entries(METRICS)) {
+    const value = vitals?.[metric];
+    const budget = budgets[metric];
+    if (value === null || value === undefined || budget === null || budget === undefined || value <= budget) continue;
+
+    issues.push({
+      severity: value > budget * 2 ? 'critical' : 'warning',
+      category: 'performance',
+      location: 'whole page (measured during load)',
+      description: `${label} is ${format(value)}, over the budget of ${format(budget)}.`,
+      recommendation: fix,
+      metric,
+      synthetic: true,
+    });
+  }
+  return issues;
+}
+
+/**
+ * One-line summary of the metrics, e.g. for text reports.
+ *
+ * @param {Object} vitals
+ * @returns {string}
+ */
+export function formatVitals(vitals) {
+  return Object.entries(METRICS)
+    .map(([metric, { format }]) => {
+      const name = metric === 'pageWeight' ? 'weight' : metric.toUpperCase();
+      return `${name} ${vitals[metric] === null || vitals[metric] === undefined ? 'n/a' : format(vitals[metric])}`;
+    })
+    .join(' · ');
+}